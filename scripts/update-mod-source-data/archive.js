@@ -0,0 +1,67 @@
+import * as fs from "fs";
+import { pipeline } from "stream/promises";
+import { promisify } from "util";
+import { createGunzip } from "zlib";
+import tar from "tar-stream";
+import yauzl from "yauzl";
+
+// Lists what's inside a release archive without extracting anything. Zips are read with yauzl, which only needs the
+// central directory at their end, tarballs with tar-stream as they're streamed from disk. Both throw if the archive
+// is malformed. Directories are listed with a trailing `/`.
+
+const openZip = promisify(yauzl.open);
+
+async function listZipEntries(filePath) {
+    const zipFile = await openZip(filePath, { lazyEntries: true });
+    return await new Promise((resolve, reject) => {
+        let entries = [];
+        zipFile.on("entry", (entry) => {
+            entries.push(entry.fileName);
+            zipFile.readEntry();
+        });
+        zipFile.on("end", () => resolve(entries));
+        zipFile.on("error", (e) => {
+            zipFile.close();
+            reject(e);
+        });
+        zipFile.readEntry();
+    });
+}
+
+async function listTarEntries(...streams) {
+    const extract = tar.extract();
+    let entries = [];
+    await Promise.all([
+        pipeline(...streams, extract),
+        (async () => {
+            for await (const entry of extract) {
+                const name = entry.header.name;
+                entries.push(entry.header.type === "directory" && !name.endsWith("/") ? `${name}/` : name);
+                // only the headers matter, the contents are skipped
+                entry.resume();
+            }
+        })()
+    ]);
+    return entries;
+}
+
+// Lists the entries of a `.zip`, `.tar.gz`/`.tgz` or `.tar` archive on disk, picking the format from its name.
+// Resolves to `undefined` for any other format
+export async function listArchiveEntries(fileName, filePath) {
+    const name = fileName.toLowerCase();
+    if (name.endsWith(".zip")) {
+        return await listZipEntries(filePath);
+    }
+    if (name.endsWith(".tar.gz") || name.endsWith(".tgz")) {
+        try {
+            return await listTarEntries(fs.createReadStream(filePath), createGunzip());
+        } catch (e) {
+            // zlib's errors have codes like `Z_DATA_ERROR`
+            throw e.code?.startsWith("Z_") ? new Error(`not a valid gzip file: ${e.message}`) : e;
+        }
+    }
+    if (name.endsWith(".tar")) {
+        return await listTarEntries(fs.createReadStream(filePath));
+    }
+    return undefined;
+}
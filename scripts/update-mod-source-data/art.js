@@ -0,0 +1,263 @@
+import { createHash } from "crypto";
+import * as fs from "fs";
+import * as path from "path";
+import sharp from "sharp";
+import { log } from "./log.js";
+
+// Cover and thumbnail art, checked and mirrored into the site so a broken (or just slow) image host doesn't leave
+// blank tiles in the launcher.
+//
+// Every art url of an entry is fetched and checked against how the launcher shows it (see `ART_KINDS`): it has to be
+// an image, and should be big enough and roughly the right shape. Usable art is resized for the launcher and written
+// to `<site>/art/`, named after its contents, and mods.json points at that copy instead. The original url is kept
+// in `coverArtFallbackUrl` / `thumbnailArtFallbackUrl`. Art that can't be used is published as-is, with a warning.
+// Art can also be a path relative to config.yaml (e.g. one of the hand-made images in `ModImages/`), those are
+// only ever published as the mirrored copy, so one that isn't usable is an error.
+//
+// `art/manifest.json` records the mirrored copy of every url, and the ETag/Last-Modified it was fetched with, so
+// unchanged art only costs a conditional request and a url that stops working keeps being served from the mirror.
+// Art that doesn't fit the launcher well is warned about when it's mirrored, not on every run. Nothing is written
+// until `save`, which also removes the copies nothing refers to anymore (unless told not to `prune`, when only some
+// entries were looked at).
+//
+// mods.json is read from anywhere, so it gets the mirrored copy's absolute url. The site's own pages link it
+// relatively instead (see `mirroredArtPath`), like every other link between them.
+
+const ART_DIR = "art";
+const MANIFEST_NAME = "manifest.json";
+const MANIFEST_VERSION = 1;
+// what sharp calls the formats we accept, anything else might not show up in the launcher
+const ACCEPTED_FORMATS = ["png", "jpeg", "webp", "gif"];
+const ART_KINDS = {
+    // the background of an entry's page, the hand-made ones are all around 3:2
+    coverArtUrl: {
+        name: "cover",
+        fallbackKey: "coverArtFallbackUrl",
+        minWidth: 800,
+        minHeight: 450,
+        minAspectRatio: 4 / 3,
+        maxAspectRatio: 16 / 9,
+        resize: { width: 1600, height: 1080, fit: "inside", withoutEnlargement: true },
+        format: "jpeg",
+        extension: "jpg"
+    },
+    // the tile in the mod list, always 4:5 so it's cropped to exactly that
+    thumbnailArtUrl: {
+        name: "thumbnail",
+        fallbackKey: "thumbnailArtFallbackUrl",
+        minWidth: 160,
+        minHeight: 200,
+        minAspectRatio: 0.75,
+        maxAspectRatio: 0.85,
+        resize: { width: 320, height: 400, fit: "cover" },
+        format: "png",
+        extension: "png"
+    }
+};
+
+function emptyManifest() {
+    return {
+        version: MANIFEST_VERSION,
+        art: {}
+    };
+}
+
+function isRemote(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+// Resolves to `{ buffer, etag, lastModified }`, `{ notModified: true }` or `{ error }`
+async function fetchArt(url, previousRecord) {
+    let headers = {};
+    if (previousRecord?.etag) {
+        headers["If-None-Match"] = previousRecord.etag;
+    }
+    if (previousRecord?.lastModified) {
+        headers["If-Modified-Since"] = previousRecord.lastModified;
+    }
+    let resp;
+    try {
+        resp = await fetch(url, { headers: headers });
+    } catch (e) {
+        return { error: `couldn't be fetched: ${e.message}` };
+    }
+    if (resp.status === 304) {
+        return { notModified: true };
+    }
+    if (resp.status !== 200) {
+        return { error: `hit non-200 status code (${resp.status}) when fetching` };
+    }
+    const contentType = resp.headers.get("content-type") ?? "";
+    if (!contentType.startsWith("image/")) {
+        return { error: `it's served as '${contentType}' rather than an image` };
+    }
+    return {
+        buffer: Buffer.from(await resp.arrayBuffer()),
+        etag: resp.headers.get("etag") ?? undefined,
+        lastModified: resp.headers.get("last-modified") ?? undefined
+    };
+}
+
+// Checks and resizes an image, resolves to `{ file, data, width, height, problems }`, or `{ error }` if it's unusable
+async function processArt(buffer, kind) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (e) {
+        return { error: `not a readable image: ${e.message}` };
+    }
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+        return { error: `'${metadata.format}' images aren't supported, use one of ${ACCEPTED_FORMATS.join(", ")}` };
+    }
+    const { width, height } = metadata;
+    let problems = [];
+    if (width < kind.minWidth || height < kind.minHeight) {
+        problems.push(`${width}x${height} is smaller than ${kind.minWidth}x${kind.minHeight}`);
+    }
+    const aspectRatio = width / height;
+    if (aspectRatio < kind.minAspectRatio || aspectRatio > kind.maxAspectRatio) {
+        problems.push(`its aspect ratio (${aspectRatio.toFixed(2)}) should be between ${kind.minAspectRatio.toFixed(2)} and ${kind.maxAspectRatio.toFixed(2)}`);
+    }
+    const hash = createHash("sha256").update(buffer).digest("hex").substring(0, 16);
+    let data;
+    try {
+        data = await sharp(buffer).rotate().resize(kind.resize).toFormat(kind.format).toBuffer();
+    } catch (e) {
+        return { error: `couldn't be resized: ${e.message}` };
+    }
+    return {
+        file: `${kind.name}-${hash}.${kind.extension}`,
+        data: data,
+        width: width,
+        height: height,
+        problems: problems
+    };
+}
+
+// The path of the mirrored copy `url` points at, relative to the site (`art/<file>`), or `undefined` for art hosted elsewhere
+export function mirroredArtPath(url, siteUrl) {
+    const prefix = `${siteUrl}/${ART_DIR}/`;
+    return url.startsWith(prefix) ? `${ART_DIR}/${url.substring(prefix.length)}` : undefined;
+}
+
+// `siteUrl` is where the site (and so the mirror) is served from, `fetchRemote: false` only reuses what was mirrored before
+export function createArtMirror({ siteDir, siteUrl, configDir, fetchRemote = true }) {
+    const artDir = path.join(siteDir, ART_DIR);
+    const manifestPath = path.join(artDir, MANIFEST_NAME);
+    let previous = emptyManifest();
+    if (fs.existsSync(manifestPath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(manifestPath).toString());
+            if (data.version === MANIFEST_VERSION) {
+                previous = data;
+            } else {
+                log.info(`art manifest is from a different version (${data.version}), mirroring everything again`);
+            }
+        } catch (e) {
+            log.warn(`art manifest is unreadable, mirroring everything again: ${e}`);
+        }
+    }
+    const next = emptyManifest();
+    const pending = new Map();
+    const stats = { mirrored: 0, unchanged: 0, unusable: 0 };
+
+    // Resolves to `{ url, fallbackUrl }` for one piece of art
+    async function mirrorArt(modName, kind, source) {
+        const recordKey = `${kind.name}:${source}`;
+        const previousRecord = previous.art[recordKey];
+        const hasPreviousCopy = previousRecord !== undefined && fs.existsSync(path.join(artDir, previousRecord.file));
+        let record;
+        let fresh = false;
+        if (!isRemote(source)) {
+            let buffer;
+            try {
+                buffer = fs.readFileSync(path.resolve(configDir, source));
+            } catch (e) {
+                throw new Error(`couldn't read ${kind.name} art '${source}': ${e.message}`);
+            }
+            record = await processArt(buffer, kind);
+            if (record.error !== undefined) {
+                throw new Error(`${kind.name} art '${source}' is unusable, ${record.error}`);
+            }
+            fresh = previousRecord?.file !== record.file;
+        } else if (!fetchRemote) {
+            if (!hasPreviousCopy) {
+                log.debug(`${kind.name} art was never mirrored, publishing it as-is - ${modName}:${source}`);
+                return { url: source, fallbackUrl: undefined };
+            }
+            record = previousRecord;
+        } else {
+            const result = await fetchArt(source, hasPreviousCopy ? previousRecord : undefined);
+            if (result.notModified) {
+                record = previousRecord;
+            } else if (result.error === undefined) {
+                record = await processArt(result.buffer, kind);
+                record.etag = result.etag;
+                record.lastModified = result.lastModified;
+                fresh = true;
+            } else {
+                record = result;
+            }
+            if (record.error !== undefined) {
+                stats.unusable++;
+                if (!hasPreviousCopy) {
+                    log.warn(`${kind.name} art can't be mirrored, ${record.error}, publishing it as-is - ${modName}:${source}`);
+                    return { url: source, fallbackUrl: undefined };
+                }
+                log.warn(`${kind.name} art can't be mirrored, ${record.error}, keeping the copy mirrored before - ${modName}:${source}`);
+                record = previousRecord;
+                fresh = false;
+            }
+        }
+
+        if (fresh && record.problems.length > 0) {
+            log.warn(`${kind.name} art doesn't fit the launcher well (${record.problems.join(", ")}) - ${modName}:${source}`);
+        }
+        if (fresh) {
+            stats.mirrored++;
+        } else {
+            stats.unchanged++;
+        }
+        const { data, ...manifestRecord } = record;
+        if (data !== undefined) {
+            pending.set(record.file, data);
+        }
+        next.art[recordKey] = manifestRecord;
+        return { url: `${siteUrl}/${ART_DIR}/${record.file}`, fallbackUrl: isRemote(source) ? source : undefined };
+    }
+
+    return {
+        // Points the entry's art (shared and per game) at the mirrored copies, in place
+        async mirrorEntry(modName, entry) {
+            for (const target of [entry, ...Object.values(entry.perGameConfig ?? {})]) {
+                for (const [artKey, kind] of Object.entries(ART_KINDS)) {
+                    if (typeof target[artKey] !== "string") {
+                        continue;
+                    }
+                    const { url, fallbackUrl } = await mirrorArt(modName, kind, target[artKey]);
+                    target[artKey] = url;
+                    if (fallbackUrl !== undefined) {
+                        target[kind.fallbackKey] = fallbackUrl;
+                    }
+                }
+            }
+        },
+        save({ prune = true } = {}) {
+            if (!prune) {
+                next.art = { ...previous.art, ...next.art };
+            }
+            fs.mkdirSync(artDir, { recursive: true });
+            for (const [file, data] of pending) {
+                fs.writeFileSync(path.join(artDir, file), data);
+            }
+            const usedFiles = new Set(Object.values(next.art).map((record) => record.file));
+            for (const file of fs.readdirSync(artDir)) {
+                if (file !== MANIFEST_NAME && !usedFiles.has(file)) {
+                    fs.rmSync(path.join(artDir, file), { force: true });
+                }
+            }
+            fs.writeFileSync(manifestPath, JSON.stringify(next, null, 4) + "\n");
+            log.info(`art: ${stats.mirrored} image(s) mirrored, ${stats.unchanged} unchanged, ${stats.unusable} unusable`);
+        }
+    };
+}
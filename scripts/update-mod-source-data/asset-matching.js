@@ -0,0 +1,64 @@
+// Decides which release asset goes into which download slot.
+//
+// Rules are tried in order and the first one whose `glob` (case-insensitive, `*` and `?` wildcards) or
+// `regex` matches the asset's name wins, so more specific rules have to come first. Each rule puts the
+// asset in a slot, for mods that's `<platform>-<arch>`. Only one asset can occupy a slot, any other
+// asset matching the same slot is reported as ambiguous and ignored.
+
+export const PLATFORMS = ["windows", "linux", "macos"];
+export const ARCHITECTURES = ["x86_64", "arm64"];
+
+// The archives the launcher can install, so the checksums and signatures uploaded next to them
+// (`windows-v1.0.0.zip.sha256`, `linux-v1.0.0.tar.gz.sig`, ...) aren't taken for a build
+const ARCHIVE_SUFFIX = "\\.(zip|tar\\.gz|tgz|tar)$";
+
+// Used for mods when neither the entry nor the config defines `asset_matching`
+export const DEFAULT_MOD_ASSET_RULES = [
+    { platform: "windows", arch: "arm64", regex: `^windows-arm64-.*${ARCHIVE_SUFFIX}` },
+    { platform: "windows", arch: "x86_64", regex: `^windows-.*${ARCHIVE_SUFFIX}` },
+    { platform: "linux", arch: "arm64", regex: `^linux-arm64-.*${ARCHIVE_SUFFIX}` },
+    { platform: "linux", arch: "arm64", regex: `^linux-aarch64-.*${ARCHIVE_SUFFIX}` },
+    { platform: "linux", arch: "x86_64", regex: `^linux-.*${ARCHIVE_SUFFIX}` },
+    { platform: "macos", arch: "arm64", regex: `^macos-arm64-.*${ARCHIVE_SUFFIX}` },
+    { platform: "macos", arch: "arm64", regex: `^macos-arm-.*${ARCHIVE_SUFFIX}` },
+    { platform: "macos", arch: "arm64", regex: `^macos-apple-.*${ARCHIVE_SUFFIX}` },
+    // historically the plain `macos-` assets have all been intel builds
+    { platform: "macos", arch: "x86_64", regex: `^macos-.*${ARCHIVE_SUFFIX}` }
+];
+
+function globToRegex(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replaceAll("*", ".*").replaceAll("?", ".");
+    return new RegExp(`^${escaped}$`, "i");
+}
+
+// Throws if a rule's `regex` doesn't compile
+export function compileAssetRule(rule) {
+    const pattern = rule["regex"] !== undefined ? new RegExp(rule["regex"], "i") : globToRegex(rule["glob"]);
+    return {
+        slot: rule["slot"] ?? `${rule["platform"]}-${rule["arch"]}`,
+        platform: rule["platform"],
+        arch: rule["arch"],
+        description: rule["regex"] !== undefined ? `/${rule["regex"]}/` : rule["glob"],
+        test: (name) => pattern.test(name)
+    };
+}
+
+export function compileAssetRules(rules) {
+    return rules.map(compileAssetRule);
+}
+
+// Returns `{ matched: { <slot>: { rule, asset } }, unmatched: [asset], ambiguous: [{ slot, asset, winner }] }`
+export function matchAssets(compiledRules, assets) {
+    let result = { matched: {}, unmatched: [], ambiguous: [] };
+    for (const asset of assets) {
+        const rule = compiledRules.find((candidate) => candidate.test(asset.name));
+        if (rule === undefined) {
+            result.unmatched.push(asset);
+        } else if (Object.keys(result.matched).includes(rule.slot)) {
+            result.ambiguous.push({ slot: rule.slot, asset: asset, winner: result.matched[rule.slot].asset });
+        } else {
+            result.matched[rule.slot] = { rule: rule, asset: asset };
+        }
+    }
+    return result;
+}
@@ -0,0 +1,131 @@
+import * as fs from "fs";
+import * as path from "path";
+import { DEFAULT_PROVIDER } from "./providers/index.js";
+import { log } from "./log.js";
+
+// Persists what we learned about upstream releases between runs:
+// - per repo: the ETag and (slimmed) releases of every page of the release listing, so unchanged repos
+//   cost a conditional request that doesn't count against the rate limit
+// - per release asset: the parsed `metadata.json`, and the size/hash/archive check of platform assets (see `integrity.js`),
+//   keyed by asset id and `updated_at`, so they're only downloaded again if the asset is re-uploaded
+//
+// Anything not touched during a run is dropped when saving, so removed mods don't linger.
+
+const CACHE_VERSION = 2;
+
+function emptyCache() {
+    return {
+        version: CACHE_VERSION,
+        repos: {},
+        metadata: {},
+        assets: {}
+    };
+}
+
+export function repoCacheKey(modInfo) {
+    return `${modInfo["provider"] ?? DEFAULT_PROVIDER}:${modInfo["repo_owner"]}/${modInfo["repo_name"]}`;
+}
+
+function readCacheFile(cachePath) {
+    if (!fs.existsSync(cachePath)) {
+        return undefined;
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(cachePath).toString());
+        return data.version === CACHE_VERSION ? data : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// Read-only access to the releases seen during the last run, keyed by `repoCacheKey`, for offline checks
+export function readCachedReleases(cachePath) {
+    const data = readCacheFile(cachePath);
+    if (data === undefined) {
+        return {};
+    }
+    return Object.fromEntries(Object.entries(data.repos).map(([repoKey, repoCache]) => [repoKey, repoCache.pages.flatMap((page) => page.releases)]));
+}
+
+// Same for the `metadata.json` files, look them up with `assetKey`
+export function readCachedMetadata(cachePath) {
+    return readCacheFile(cachePath)?.metadata ?? {};
+}
+
+export function assetKey(asset) {
+    return `${asset.id ?? asset.browser_download_url}@${asset.updated_at ?? ""}`;
+}
+
+// `enabled: false` starts from scratch (but still writes a fresh cache), `refresh` lists mod keys to do the same for
+export function loadReleaseCache(cachePath, { enabled = true, refresh = [] } = {}) {
+    let previous = emptyCache();
+    if (enabled && fs.existsSync(cachePath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(cachePath).toString());
+            if (data.version === CACHE_VERSION) {
+                previous = data;
+            } else {
+                log.info(`release cache is from a different version (${data.version}), ignoring it`);
+            }
+        } catch (e) {
+            log.warn(`release cache is unreadable, ignoring it: ${e}`);
+        }
+    }
+    const next = emptyCache();
+    const stats = { reposReused: 0, metadataReused: 0, assetsReused: 0 };
+
+    return {
+        // The cache entry a provider can read/update for a repo listing
+        forRepo(modName, repoKey) {
+            if (next.repos[repoKey] === undefined) {
+                next.repos[repoKey] = refresh.includes(modName) ? { pages: [] } : structuredClone(previous.repos[repoKey] ?? { pages: [] });
+            }
+            return next.repos[repoKey];
+        },
+        // Called once the listing is done, to tell if anything changed since the last run
+        isUnchanged(repoKey) {
+            const before = previous.repos[repoKey];
+            const after = next.repos[repoKey];
+            const unchanged = before !== undefined && after !== undefined && after.pages.length > 0 && after.pages.every((page) => page.etag) && JSON.stringify(before.pages.map((page) => page.etag)) === JSON.stringify(after.pages.map((page) => page.etag));
+            if (unchanged) {
+                stats.reposReused++;
+            }
+            return unchanged;
+        },
+        getMetadata(modName, asset) {
+            const key = assetKey(asset);
+            if (refresh.includes(modName) || !Object.keys(previous.metadata).includes(key)) {
+                return undefined;
+            }
+            stats.metadataReused++;
+            next.metadata[key] = previous.metadata[key];
+            return previous.metadata[key];
+        },
+        setMetadata(asset, metadata) {
+            next.metadata[assetKey(asset)] = metadata;
+        },
+        getAssetInfo(modName, asset) {
+            const key = assetKey(asset);
+            if (refresh.includes(modName) || !Object.keys(previous.assets).includes(key)) {
+                return undefined;
+            }
+            stats.assetsReused++;
+            next.assets[key] = previous.assets[key];
+            return previous.assets[key];
+        },
+        setAssetInfo(asset, info) {
+            next.assets[assetKey(asset)] = info;
+        },
+        // `prune: false` keeps the entries this run didn't touch, for runs that only processed some of the mods
+        save({ prune = true } = {}) {
+            if (!prune) {
+                for (const section of ["repos", "metadata", "assets"]) {
+                    next[section] = { ...previous[section], ...next[section] };
+                }
+            }
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, JSON.stringify(next));
+            log.info(`release cache: ${stats.reposReused} repo(s) unchanged, ${stats.metadataReused} metadata file(s) and ${stats.assetsReused} asset check(s) reused`);
+        }
+    };
+}
@@ -0,0 +1,224 @@
+import { contentTypes } from "./content-types.js";
+import { escapeMarkdownCell } from "./markup.js";
+
+// Structured diff between two versions of the mod source data, so it's obvious what a run actually changed
+// without diffing the whole pretty-printed file. Download counts are intentionally ignored, they change constantly.
+
+const SCALAR_FIELDS = ["displayName", "description", "websiteUrl", "coverArtUrl", "thumbnailArtUrl", "coverArtFallbackUrl", "thumbnailArtFallbackUrl", "externalLink"];
+const LIST_FIELDS = ["authors", "tags", "supportedGames"];
+// compared as a whole
+const OBJECT_FIELDS = ["source"];
+
+function diffLists(before, after) {
+    before = before ?? [];
+    after = after ?? [];
+    return {
+        added: after.filter((item) => !before.includes(item)),
+        removed: before.filter((item) => !after.includes(item))
+    };
+}
+
+// The fields (assets, settings, channel, compatibility, ...) that differ for every version in both,
+// newly yanked versions are reported on their own so that isn't repeated here
+function diffVersions(contentType, before, after) {
+    let changedVersions = [];
+    for (const versionAfter of after.versions ?? []) {
+        const versionBefore = (before.versions ?? []).find((version) => version.version === versionAfter.version);
+        if (versionBefore === undefined) {
+            continue;
+        }
+        const fieldsBefore = contentType.withoutDownloadCounts(versionBefore);
+        const fieldsAfter = contentType.withoutDownloadCounts(versionAfter);
+        const newlyYanked = !versionBefore.yanked && versionAfter.yanked;
+        const fields = [...new Set([...Object.keys(fieldsBefore), ...Object.keys(fieldsAfter)])]
+            .filter((field) => !(field === "yanked" && newlyYanked))
+            .filter((field) => JSON.stringify(fieldsBefore[field] ?? null) !== JSON.stringify(fieldsAfter[field] ?? null));
+        if (fields.length > 0) {
+            changedVersions.push({ version: versionAfter.version, fields: fields });
+        }
+    }
+    return changedVersions;
+}
+
+function diffEntry(contentType, before, after) {
+    let changes = {};
+    const versionsBefore = (before.versions ?? []).map((version) => version.version);
+    const versionsAfter = (after.versions ?? []).map((version) => version.version);
+    const versions = diffLists(versionsBefore, versionsAfter);
+    if (versions.added.length > 0) {
+        changes.newVersions = versions.added;
+    }
+    if (versions.removed.length > 0) {
+        changes.withdrawnVersions = versions.removed;
+    }
+    const yankedBefore = (before.versions ?? []).filter((version) => version.yanked).map((version) => version.version);
+    const newlyYanked = (after.versions ?? []).filter((version) => version.yanked && versionsBefore.includes(version.version) && !yankedBefore.includes(version.version));
+    if (newlyYanked.length > 0) {
+        changes.yankedVersions = newlyYanked.map((version) => ({ version: version.version, reason: version.yanked.reason }));
+    }
+    const changedVersions = diffVersions(contentType, before, after);
+    if (changedVersions.length > 0) {
+        changes.changedVersions = changedVersions;
+    }
+
+    let fields = {};
+    for (const field of SCALAR_FIELDS) {
+        if ((before[field] ?? null) !== (after[field] ?? null)) {
+            fields[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    for (const field of OBJECT_FIELDS) {
+        if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+            fields[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    // per-game art and release dates are flattened into `perGameConfig.<game>.<field>`
+    const games = new Set([...Object.keys(before.perGameConfig ?? {}), ...Object.keys(after.perGameConfig ?? {})]);
+    for (const game of games) {
+        const gameFields = new Set([...Object.keys(before.perGameConfig?.[game] ?? {}), ...Object.keys(after.perGameConfig?.[game] ?? {})]);
+        for (const field of gameFields) {
+            const from = before.perGameConfig?.[game]?.[field] ?? null;
+            const to = after.perGameConfig?.[game]?.[field] ?? null;
+            if (from !== to) {
+                fields[`perGameConfig.${game}.${field}`] = { from: from, to: to };
+            }
+        }
+    }
+    if (Object.keys(fields).length > 0) {
+        changes.fields = fields;
+    }
+
+    for (const field of LIST_FIELDS) {
+        const listChanges = diffLists(before[field], after[field]);
+        if (listChanges.added.length > 0 || listChanges.removed.length > 0) {
+            changes[field] = listChanges;
+        }
+    }
+    return changes;
+}
+
+export function diffModSources(before, after) {
+    let diff = {};
+    for (const contentType of contentTypes) {
+        const entriesBefore = before?.[contentType.sourceKey] ?? {};
+        const entriesAfter = after?.[contentType.sourceKey] ?? {};
+        let sectionDiff = { added: [], removed: [], changed: {} };
+        for (const [key, entry] of Object.entries(entriesAfter)) {
+            if (!Object.keys(entriesBefore).includes(key)) {
+                sectionDiff.added.push({ key: key, displayName: entry.displayName, versions: (entry.versions ?? []).map((version) => version.version) });
+                continue;
+            }
+            const changes = diffEntry(contentType, entriesBefore[key], entry);
+            if (Object.keys(changes).length > 0) {
+                sectionDiff.changed[key] = { displayName: entry.displayName, ...changes };
+            }
+        }
+        for (const [key, entry] of Object.entries(entriesBefore)) {
+            if (!Object.keys(entriesAfter).includes(key)) {
+                sectionDiff.removed.push({ key: key, displayName: entry.displayName });
+            }
+        }
+        diff[contentType.sourceKey] = sectionDiff;
+    }
+    return diff;
+}
+
+export function isEmptyDiff(diff) {
+    return Object.values(diff).every((sectionDiff) => sectionDiff.added.length === 0 && sectionDiff.removed.length === 0 && Object.keys(sectionDiff.changed).length === 0);
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+// One line summary, used as the commit subject
+export function summarizeDiff(diff) {
+    let parts = [];
+    for (const contentType of contentTypes) {
+        const sectionDiff = diff[contentType.sourceKey];
+        const newVersions = Object.values(sectionDiff.changed).reduce((total, changes) => total + (changes.newVersions?.length ?? 0), 0);
+        const withdrawnVersions = Object.values(sectionDiff.changed).reduce((total, changes) => total + (changes.withdrawnVersions?.length ?? 0) + (changes.yankedVersions?.length ?? 0), 0);
+        const changedVersions = Object.values(sectionDiff.changed).reduce((total, changes) => total + (changes.changedVersions?.length ?? 0), 0);
+        const updated = Object.values(sectionDiff.changed).filter((changes) => Object.keys(changes).some((key) => !["displayName", "newVersions", "withdrawnVersions", "yankedVersions", "changedVersions"].includes(key))).length;
+        if (sectionDiff.added.length > 0) {
+            parts.push(`${plural(sectionDiff.added.length, contentType.name)} added`);
+        }
+        if (sectionDiff.removed.length > 0) {
+            parts.push(`${plural(sectionDiff.removed.length, contentType.name)} removed`);
+        }
+        if (newVersions > 0) {
+            parts.push(`${plural(newVersions, `new ${contentType.name} version`)}`);
+        }
+        if (withdrawnVersions > 0) {
+            parts.push(`${plural(withdrawnVersions, `withdrawn ${contentType.name} version`)}`);
+        }
+        if (changedVersions > 0) {
+            parts.push(`${plural(changedVersions, `changed ${contentType.name} version`)}`);
+        }
+        if (updated > 0) {
+            parts.push(`${plural(updated, contentType.name)} updated`);
+        }
+    }
+    if (parts.length === 0) {
+        return "source: Updated download counts";
+    }
+    return `source: ${parts.join(", ")}`;
+}
+
+function describeListChange(label, listChanges) {
+    const items = [...listChanges.added.map((item) => `+${escapeMarkdownCell(item)}`), ...listChanges.removed.map((item) => `-${escapeMarkdownCell(item)}`)];
+    return `${label} ${items.join(" ")}`;
+}
+
+function describeChanges(changes) {
+    let descriptions = [];
+    if (changes.newVersions) {
+        descriptions.push(`new: ${changes.newVersions.map(escapeMarkdownCell).join(", ")}`);
+    }
+    if (changes.withdrawnVersions) {
+        descriptions.push(`withdrawn: ${changes.withdrawnVersions.map(escapeMarkdownCell).join(", ")}`);
+    }
+    if (changes.yankedVersions) {
+        descriptions.push(`yanked: ${changes.yankedVersions.map((yanked) => `${escapeMarkdownCell(yanked.version)} (${escapeMarkdownCell(yanked.reason)})`).join(", ")}`);
+    }
+    if (changes.changedVersions) {
+        descriptions.push(`changed: ${changes.changedVersions.map((changed) => `${escapeMarkdownCell(changed.version)} (${changed.fields.map((field) => `\`${field}\``).join(", ")})`).join(", ")}`);
+    }
+    for (const field of Object.keys(changes.fields ?? {})) {
+        descriptions.push(`\`${field}\` changed`);
+    }
+    if (changes.supportedGames) {
+        descriptions.push(describeListChange("supported games", changes.supportedGames));
+    }
+    if (changes.tags) {
+        descriptions.push(describeListChange("tags", changes.tags));
+    }
+    if (changes.authors) {
+        descriptions.push(describeListChange("authors", changes.authors));
+    }
+    return descriptions.join("; ");
+}
+
+// Markdown, the first line is the summary so it can be used directly as a commit message / PR body. Names, versions
+// and the like come from config.yaml and upstream releases, so they're escaped
+export function renderChangelogMarkdown(diff) {
+    let lines = [summarizeDiff(diff)];
+    for (const contentType of contentTypes) {
+        const sectionDiff = diff[contentType.sourceKey];
+        let sectionLines = [];
+        for (const added of sectionDiff.added) {
+            const versions = added.versions.length > 0 ? ` (${added.versions.map(escapeMarkdownCell).join(", ")})` : "";
+            sectionLines.push(`- **Added** \`${added.key}\` - ${escapeMarkdownCell(added.displayName)}${versions}`);
+        }
+        for (const removed of sectionDiff.removed) {
+            sectionLines.push(`- **Removed** \`${removed.key}\` - ${escapeMarkdownCell(removed.displayName)}`);
+        }
+        for (const [key, changes] of Object.entries(sectionDiff.changed)) {
+            sectionLines.push(`- \`${key}\` - ${escapeMarkdownCell(changes.displayName)}: ${describeChanges(changes)}`);
+        }
+        if (sectionLines.length > 0) {
+            lines.push("", `### ${contentType.title}`, "", ...sectionLines);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
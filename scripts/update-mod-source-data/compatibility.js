@@ -0,0 +1,108 @@
+import semver from "semver";
+import { contentTypes } from "./content-types.js";
+
+// What a version needs to work, from the optional `compatibility` object of a release's `metadata.json`.
+// It's published as-is on the version in mods.json, so launchers can tell whether it can be installed:
+// - `toolchainVersion` / `launcherVersion`: semver ranges of the OpenGOAL toolchain and launcher versions it works
+//   with, e.g. ">=0.2.10 <0.3.0" for a minimum and a maximum
+// - `requires` / `incompatibleWith`: keys of other entries (mods or texture packs) of the same mod source file
+// - `gameVersions`: per supported game, the versions/regions of it that work, see `GAME_VERSIONS`
+//
+// The settings' `decompConfigOverride` names one of the same game versions, or is empty for the default.
+
+const RANGE_FIELDS = ["toolchainVersion", "launcherVersion"];
+const REFERENCE_FIELDS = ["requires", "incompatibleWith"];
+// the versions of each game OpenGOAL's decompiler has a config for
+export const GAME_VERSIONS = {
+    jak1: ["ntsc_v1", "ntsc_v2", "pal", "ntsc_jp"],
+    jak2: ["ntsc_v1", "ntsc_v2", "pal", "ntsc_jp", "ntsc_ko"],
+    jak3: ["ntsc_v1", "pal", "ntsc_jp", "ntsc_ko"],
+    jakx: ["ntsc_v1", "pal"]
+};
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+// Problems with a `compatibility` object (from a `metadata.json` or a published version), as `[path, message]` pairs
+export function compatibilityProblems(compatibility, supportedGames) {
+    if (compatibility === undefined) {
+        return [];
+    }
+    if (compatibility === null || typeof compatibility !== "object" || Array.isArray(compatibility)) {
+        return [[[], "has to be an object"]];
+    }
+    let problems = [];
+    for (const field of Object.keys(compatibility)) {
+        if (![...RANGE_FIELDS, ...REFERENCE_FIELDS, "gameVersions"].includes(field)) {
+            problems.push([[field], "is not a known compatibility field"]);
+        }
+    }
+    for (const field of RANGE_FIELDS) {
+        const range = compatibility[field];
+        if (range !== undefined && (typeof range !== "string" || semver.validRange(range) === null)) {
+            problems.push([[field], `'${range}' is not a valid semver range`]);
+        }
+    }
+    for (const field of REFERENCE_FIELDS) {
+        if (compatibility[field] !== undefined && !isStringList(compatibility[field])) {
+            problems.push([[field], "has to be a list of entry keys"]);
+        }
+    }
+    const gameVersions = compatibility["gameVersions"];
+    if (gameVersions !== undefined) {
+        if (gameVersions === null || typeof gameVersions !== "object" || Array.isArray(gameVersions)) {
+            return problems.concat([[["gameVersions"], "has to map games to lists of game versions"]]);
+        }
+        for (const [game, versions] of Object.entries(gameVersions)) {
+            if (!supportedGames.includes(game)) {
+                problems.push([["gameVersions", game], `lists versions of '${game}', which isn't a supported game`]);
+                continue;
+            }
+            if (!isStringList(versions)) {
+                problems.push([["gameVersions", game], "has to be a list of game versions"]);
+                continue;
+            }
+            for (const version of versions.filter((version) => !(GAME_VERSIONS[game] ?? []).includes(version))) {
+                problems.push([["gameVersions", game], `'${version}' is not a known version of ${game} (${(GAME_VERSIONS[game] ?? []).join(", ")})`]);
+            }
+        }
+    }
+    return problems;
+}
+
+// Problems with `settings.decompConfigOverride`, as `[path, message]` pairs like above
+export function settingsProblems(settings, supportedGames) {
+    const override = settings?.["decompConfigOverride"];
+    if (override === undefined || override === "") {
+        return [];
+    }
+    const known = [...new Set(supportedGames.flatMap((game) => GAME_VERSIONS[game] ?? []))];
+    if (!known.includes(override)) {
+        return [[["decompConfigOverride"], `'${override}' is not a known game version (${known.join(", ")})`]];
+    }
+    return [];
+}
+
+// The entries a `compatibility` object refers to, as `[field, key]` pairs
+export function referencesOf(compatibility) {
+    return REFERENCE_FIELDS.flatMap((field) => (isStringList(compatibility?.[field]) ? compatibility[field] : []).map((reference) => [field, reference]));
+}
+
+// Every reference to an entry that isn't in `knownKeys`, as `{ sourceKey, key, index, version, field, reference }`
+// where `index` is the version's position in the entry's `versions`
+export function unknownReferences(modSourceData, knownKeys = contentTypes.flatMap((contentType) => Object.keys(modSourceData[contentType.sourceKey] ?? {}))) {
+    let references = [];
+    for (const contentType of contentTypes) {
+        for (const [key, entry] of Object.entries(modSourceData[contentType.sourceKey] ?? {})) {
+            for (const [idx, version] of (entry.versions ?? []).entries()) {
+                for (const [field, reference] of referencesOf(version.compatibility)) {
+                    if (!knownKeys.includes(reference)) {
+                        references.push({ sourceKey: contentType.sourceKey, key: key, index: idx, version: version.version, field: field, reference: reference });
+                    }
+                }
+            }
+        }
+    }
+    return references;
+}
@@ -0,0 +1,285 @@
+// Everything that differs between the kinds of content we list lives here, the release ingestion
+// itself (see `pipeline.js`) is shared between all of them.
+//
+// - `name` / `title`: how to refer to a single entry, and to the whole section, in messages and reports
+// - `configKey` / `sourceKey`: where entries come from in config.yaml and where they end up in mods.json
+// - `artKeys`: art that must be defined either at the top-level or for every supported game
+// - `allowExternalLink`: entries can point to an external website instead of listing releases
+// - `requireMetadata`: every release must ship a `metadata.json`, otherwise the entry's `supported_games` is used
+// - `createEntry` / `createVersion`: the initial shape of the output objects (key order matters, it's what ends up in the file)
+// - `assetRules`: the compiled `asset_matching` rules for an entry (see `asset-matching.js`), given the config-wide ones
+// - `warnUnmatchedAssets`: whether assets no rule matched are worth a warning
+// - `addAsset`: put a matched release asset into a slot of the version
+// - `archiveLayout`: `[description, pattern]` pairs a slot's archive is expected to contain, anything missing is a warning
+// - `applyIntegrity` / `clearAsset`: publish the size and hash of a slot's asset, or un-publish a broken one
+// - `applyMetadata`: copy type-specific settings out of a release's `metadata.json`
+// - `hasAssets`: whether there is anything to download for the version at all, for every launcher that reads mods.json
+// - `pageDir`: where the site's per-entry pages go (see `site.js`)
+// - `listDownloads`: a published version's downloads as `{ label, platforms, url, size }`, for people rather than launchers
+// - `downloadCounts` / `withoutDownloadCounts`: a version's download counts per slot, or the version without them (see `history.js`)
+// - `publishedAssets` / `withoutAssets`: a version's downloads as `{ platform, arch, name, url, downloadCount, size, sha256 }`,
+//   or the version without the type's own download fields, which is how mods.v2.json lists them (see `schema-versions.js`)
+
+import { DEFAULT_MOD_ASSET_RULES, PLATFORMS, compileAssetRules } from "./asset-matching.js";
+
+// The slots old launchers know about, they only ever got one build per platform
+const LEGACY_SLOTS = {
+    windows: "windows-x86_64",
+    linux: "linux-x86_64",
+    macos: "macos-x86_64"
+};
+
+function assetName(url) {
+    return decodeURIComponent(url.substring(url.lastIndexOf("/") + 1));
+}
+
+const mod = {
+    name: "mod",
+    title: "Mods",
+    configKey: "mods",
+    sourceKey: "mods",
+    pageDir: "mods",
+    artKeys: [["cover_art_url", "coverArtUrl"], ["thumbnail_art_url", "thumbnailArtUrl"]],
+    allowExternalLink: true,
+    requireMetadata: true,
+    // TODO - this should only be required on external mods which are already verified before
+    // can probably be removed "soon"
+    defaultSupportedGames: ["jak1"],
+    createEntry(modInfo) {
+        return {
+            displayName: modInfo["display_name"],
+            description: modInfo["description"],
+            authors: modInfo["authors"],
+            tags: modInfo["tags"],
+            websiteUrl: modInfo["website_url"],
+            supportedGames: [],
+            versions: [],
+            coverArtUrl: undefined,
+            thumbnailArtUrl: undefined,
+            // the original art urls, if the art is mirrored (see `art.js`)
+            coverArtFallbackUrl: undefined,
+            thumbnailArtFallbackUrl: undefined,
+            perGameConfig: {},
+            externalLink: null
+        };
+    },
+    createVersion(version, release) {
+        return {
+            version: version,
+            publishedDate: release.published_at,
+            supportedGames: [],
+            settings: {
+                decompConfigOverride: "",
+                shareVanillaSaves: false,
+            },
+            assets: {
+                windows: null,
+                linux: null,
+                macos: null
+            },
+            assetDownloadCounts: {
+                windows: 0,
+                linux: 0,
+                macos: 0
+            },
+            // optional, only filled in if the assets were checked
+            assetIntegrity: {
+                windows: null,
+                linux: null,
+                macos: null
+            },
+            // every matched asset, including the ones that don't fit in the legacy fields above
+            assetList: []
+        };
+    },
+    assetRules(modInfo, configRules) {
+        return compileAssetRules(modInfo["asset_matching"] ?? configRules ?? DEFAULT_MOD_ASSET_RULES);
+    },
+    warnUnmatchedAssets: true,
+    addAsset(newVersion, slot, rule, asset) {
+        newVersion.assetList.push({
+            platform: rule.platform,
+            arch: rule.arch,
+            name: asset.name,
+            url: asset.browser_download_url,
+            downloadCount: asset.download_count,
+            size: null,
+            sha256: null
+        });
+        if (LEGACY_SLOTS[rule.platform] === slot) {
+            newVersion.assets[rule.platform] = asset.browser_download_url;
+            newVersion.assetDownloadCounts[rule.platform] = asset.download_count;
+        }
+    },
+    archiveLayout(slot) {
+        const platform = slot.split("-")[0];
+        const executableSuffix = platform === "windows" ? "\\.exe" : "";
+        return [
+            ["the 'gk' executable", new RegExp(`^gk${executableSuffix}$`, "i")],
+            ["the 'goalc' executable", new RegExp(`^goalc${executableSuffix}$`, "i")],
+            ["the 'extractor' executable", new RegExp(`^extractor${executableSuffix}$`, "i")],
+            ["the 'data' directory", /^data\//]
+        ];
+    },
+    applyIntegrity(newVersion, slot, info) {
+        const entry = newVersion.assetList.find((candidate) => `${candidate.platform}-${candidate.arch}` === slot);
+        entry.size = info.size;
+        entry.sha256 = info.sha256;
+        if (LEGACY_SLOTS[entry.platform] === slot) {
+            newVersion.assetIntegrity[entry.platform] = { size: info.size, sha256: info.sha256 };
+        }
+    },
+    clearAsset(newVersion, slot) {
+        const entry = newVersion.assetList.find((candidate) => `${candidate.platform}-${candidate.arch}` === slot);
+        newVersion.assetList = newVersion.assetList.filter((candidate) => candidate !== entry);
+        if (LEGACY_SLOTS[entry.platform] === slot) {
+            newVersion.assets[entry.platform] = null;
+            newVersion.assetDownloadCounts[entry.platform] = 0;
+            newVersion.assetIntegrity[entry.platform] = null;
+        }
+    },
+    applyMetadata(newVersion, metadata) {
+        if (Object.keys(metadata).includes("settings")) {
+            newVersion.settings = metadata.settings;
+        }
+    },
+    // old launchers only look at the legacy slots, a version that only has builds for other architectures (arm64)
+    // would be installable for them with nothing to download, so it isn't published until there's an x86_64 one
+    hasAssets(newVersion) {
+        return Object.values(newVersion.assets).some((url) => url !== null);
+    },
+    // files written before the asset list existed (or merged in from elsewhere) only have the legacy slots
+    listDownloads(version) {
+        if (version.assetList !== undefined) {
+            return version.assetList.map((entry) => ({ label: `${entry.platform} (${entry.arch})`, platforms: [entry.platform], url: entry.url, size: entry.size }));
+        }
+        return Object.entries(version.assets)
+            .filter(([, url]) => url !== null)
+            .map(([platform, url]) => ({ label: platform, platforms: [platform], url: url, size: version.assetIntegrity?.[platform]?.size ?? null }));
+    },
+    downloadCounts(version) {
+        if (version.assetList !== undefined) {
+            return Object.fromEntries(version.assetList.map((entry) => [`${entry.platform}-${entry.arch}`, entry.downloadCount]));
+        }
+        return Object.fromEntries(Object.entries(version.assets)
+            .filter(([, url]) => url !== null)
+            .map(([platform]) => [LEGACY_SLOTS[platform], version.assetDownloadCounts[platform]]));
+    },
+    withoutDownloadCounts(version) {
+        const { assetDownloadCounts, ...rest } = version;
+        return { ...rest, assetList: rest.assetList?.map(({ downloadCount, ...entry }) => entry) };
+    },
+    publishedAssets(version) {
+        if (version.assetList !== undefined) {
+            return version.assetList;
+        }
+        return Object.entries(version.assets)
+            .filter(([, url]) => url !== null)
+            .map(([platform, url]) => ({
+                platform: platform,
+                arch: LEGACY_SLOTS[platform].split("-")[1],
+                name: assetName(url),
+                url: url,
+                downloadCount: version.assetDownloadCounts[platform],
+                size: version.assetIntegrity?.[platform]?.size ?? null,
+                sha256: version.assetIntegrity?.[platform]?.sha256 ?? null
+            }));
+    },
+    withoutAssets(version) {
+        const { assets, assetDownloadCounts, assetIntegrity, assetList, ...rest } = version;
+        return rest;
+    }
+};
+
+const texturePack = {
+    name: "texture pack",
+    title: "Texture Packs",
+    configKey: "texture_packs",
+    sourceKey: "texturePacks",
+    pageDir: "texture-packs",
+    artKeys: [["thumbnail_art_url", "thumbnailArtUrl"]],
+    allowExternalLink: false,
+    requireMetadata: false,
+    defaultSupportedGames: [],
+    createEntry(modInfo) {
+        return {
+            displayName: modInfo["display_name"],
+            description: modInfo["description"],
+            authors: modInfo["authors"],
+            tags: modInfo["tags"],
+            websiteUrl: modInfo["website_url"],
+            supportedGames: [],
+            versions: [],
+            thumbnailArtUrl: undefined,
+            thumbnailArtFallbackUrl: undefined,
+            perGameConfig: {}
+        };
+    },
+    createVersion(version, release) {
+        return {
+            version: version,
+            publishedDate: release.published_at,
+            supportedGames: [],
+            downloadUrl: null,
+            downloadCount: 0,
+            // optional, only filled in if the asset was checked
+            downloadIntegrity: null
+        };
+    },
+    assetRules() {
+        return compileAssetRules([{ slot: "download", glob: "assets.zip" }]);
+    },
+    // texture pack releases often come with screenshots and the like
+    warnUnmatchedAssets: false,
+    addAsset(newVersion, slot, rule, asset) {
+        newVersion.downloadUrl = asset.browser_download_url;
+        newVersion.downloadCount = asset.download_count;
+    },
+    archiveLayout() {
+        return [];
+    },
+    applyIntegrity(newVersion, slot, info) {
+        newVersion.downloadIntegrity = { size: info.size, sha256: info.sha256 };
+    },
+    clearAsset(newVersion) {
+        newVersion.downloadUrl = null;
+        newVersion.downloadCount = 0;
+        newVersion.downloadIntegrity = null;
+    },
+    applyMetadata() { },
+    hasAssets(newVersion) {
+        return newVersion.downloadUrl !== null;
+    },
+    listDownloads(version) {
+        if (version.downloadUrl === null) {
+            return [];
+        }
+        return [{ label: "all platforms", platforms: PLATFORMS, url: version.downloadUrl, size: version.downloadIntegrity?.size ?? null }];
+    },
+    downloadCounts(version) {
+        return version.downloadUrl !== null ? { download: version.downloadCount } : {};
+    },
+    withoutDownloadCounts(version) {
+        const { downloadCount, ...rest } = version;
+        return rest;
+    },
+    // no `platform` / `arch`, the same download works everywhere
+    publishedAssets(version) {
+        if (version.downloadUrl === null) {
+            return [];
+        }
+        return [{
+            name: assetName(version.downloadUrl),
+            url: version.downloadUrl,
+            downloadCount: version.downloadCount,
+            size: version.downloadIntegrity?.size ?? null,
+            sha256: version.downloadIntegrity?.sha256 ?? null
+        }];
+    },
+    withoutAssets(version) {
+        const { downloadUrl, downloadCount, downloadIntegrity, ...rest } = version;
+        return rest;
+    }
+};
+
+export const contentTypes = [mod, texturePack];
@@ -0,0 +1,141 @@
+import * as fs from "fs";
+import * as path from "path";
+import { contentTypes } from "./content-types.js";
+import { ALWAYS_LISTED_GAMES, isListed } from "./listing.js";
+import { log } from "./log.js";
+import { escapeXml, slugify } from "./markup.js";
+
+// Atom and JSON Feed of released versions, so players (and bots) can subscribe to new releases instead of
+// polling mods.json. One entry per version of everything the site lists (see `listing.js`), newest first, for
+// everything and then split per game and per tag.
+//
+// Everything is derived from the mod source data, including the feed's `updated` time (the newest entry),
+// so re-running without new releases produces identical files.
+
+const MAX_ENTRIES = 100;
+const FEEDS_DIR = "feeds";
+
+function collectEntries(modSourceData, siteUrl) {
+    let entries = [];
+    for (const contentType of contentTypes) {
+        for (const [modName, modInfo] of Object.entries(modSourceData[contentType.sourceKey] ?? {})) {
+            if (!isListed(modInfo)) {
+                continue;
+            }
+            for (const version of modInfo.versions) {
+                entries.push({
+                    id: `${siteUrl}/mods.json#${encodeURIComponent(modName)}@${version.version}`,
+                    modName: modName,
+                    title: `${modInfo.displayName} ${version.version}`,
+                    summary: modInfo.description,
+                    url: modInfo.websiteUrl ?? `${siteUrl}/`,
+                    published: version.publishedDate,
+                    authors: modInfo.authors,
+                    tags: modInfo.tags,
+                    games: version.supportedGames,
+                    contentType: contentType.name
+                });
+            }
+        }
+    }
+    return entries.sort((a, b) => Date.parse(b.published) - Date.parse(a.published) || a.id.localeCompare(b.id));
+}
+
+function renderAtom(feed, entries) {
+    const updated = entries.length > 0 ? new Date(entries[0].published).toISOString() : new Date(0).toISOString();
+    let lines = [
+        `<?xml version="1.0" encoding="utf-8"?>`,
+        `<feed xmlns="http://www.w3.org/2005/Atom">`,
+        `  <id>${escapeXml(feed.url)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <updated>${updated}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.url)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}"/>`
+    ];
+    for (const entry of entries) {
+        lines.push(
+            `  <entry>`,
+            `    <id>${escapeXml(entry.id)}</id>`,
+            `    <title>${escapeXml(entry.title)}</title>`,
+            `    <updated>${new Date(entry.published).toISOString()}</updated>`,
+            `    <published>${new Date(entry.published).toISOString()}</published>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+            ...entry.authors.map((author) => `    <author><name>${escapeXml(author)}</name></author>`),
+            ...[...entry.games, ...entry.tags].map((term) => `    <category term="${escapeXml(term)}"/>`),
+            `    <summary type="text">${escapeXml(entry.summary)}</summary>`,
+            `  </entry>`
+        );
+    }
+    lines.push(`</feed>`);
+    return lines.join("\n") + "\n";
+}
+
+function renderJsonFeed(feed, entries) {
+    return JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.url,
+        items: entries.map((entry) => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.title,
+            content_text: entry.summary,
+            date_published: new Date(entry.published).toISOString(),
+            authors: entry.authors.map((author) => ({ name: author })),
+            tags: [...entry.games, ...entry.tags],
+            _opengoal: {
+                modKey: entry.modName,
+                contentType: entry.contentType,
+                supportedGames: entry.games
+            }
+        }))
+    }, null, 4) + "\n";
+}
+
+function writeFeed(siteDir, siteUrl, relativePath, title, entries) {
+    entries = entries.slice(0, MAX_ENTRIES);
+    for (const [extension, render] of [["atom", renderAtom], ["json", renderJsonFeed]]) {
+        const feedPath = `${relativePath}.${extension}`;
+        const feed = {
+            title: title,
+            url: `${siteUrl}/${feedPath}`,
+            homePageUrl: `${siteUrl}/`
+        };
+        fs.writeFileSync(path.join(siteDir, feedPath), render(feed, entries));
+    }
+}
+
+// Writes `feed.atom`/`feed.json` to the site root, and `feeds/<game>.*`, `feeds/tag-<tag>.*` next to it.
+// Returns the list of per-game and per-tag feeds that were written.
+export function writeFeeds(modSourceData, siteDir, siteUrl) {
+    const entries = collectEntries(modSourceData, siteUrl);
+    writeFeed(siteDir, siteUrl, "feed", `${modSourceData.sourceName} - new releases`, entries);
+
+    // the split feeds are regenerated from scratch so feeds for tags that no longer exist disappear
+    fs.rmSync(path.join(siteDir, FEEDS_DIR), { recursive: true, force: true });
+    fs.mkdirSync(path.join(siteDir, FEEDS_DIR), { recursive: true });
+    let written = [];
+    // the main games always get a feed, even if empty, so the site can link to them unconditionally
+    const games = [...new Set([...ALWAYS_LISTED_GAMES, ...entries.flatMap((entry) => entry.games)])].sort();
+    for (const game of games) {
+        writeFeed(siteDir, siteUrl, `${FEEDS_DIR}/${game}`, `${modSourceData.sourceName} - new ${game} releases`, entries.filter((entry) => entry.games.includes(game)));
+        written.push(`${FEEDS_DIR}/${game}`);
+    }
+    // tags that only differ in case or punctuation share a slug, and so a file, their feed has the releases of all of them
+    let tagsBySlug = new Map();
+    for (const tag of [...new Set(entries.flatMap((entry) => entry.tags))].sort()) {
+        const slug = slugify(tag);
+        if (slug !== "") {
+            tagsBySlug.set(slug, [...(tagsBySlug.get(slug) ?? []), tag]);
+        }
+    }
+    for (const [slug, tags] of tagsBySlug) {
+        if (tags.length > 1) {
+            log.warn(`tags ${tags.map((tag) => `'${tag}'`).join(", ")} all end up in ${FEEDS_DIR}/tag-${slug}, consider using just one of them`);
+        }
+        writeFeed(siteDir, siteUrl, `${FEEDS_DIR}/tag-${slug}`, `${modSourceData.sourceName} - new releases tagged ${tags.map((tag) => `'${tag}'`).join(" or ")}`, entries.filter((entry) => entry.tags.some((tag) => tags.includes(tag))));
+        written.push(`${FEEDS_DIR}/tag-${slug}`);
+    }
+    return written;
+}
@@ -0,0 +1,143 @@
+import { PLATFORMS } from "./asset-matching.js";
+import { buildSourceEntry } from "./pipeline.js";
+import { escapeMarkdownCell } from "./markup.js";
+
+// Checks every entry of the config for problems the build either doesn't notice or only notices by failing,
+// and classifies it as `ok`, `warn` or `error`. Unlike the build, an entry that can't be processed at all is just
+// reported as such, so one broken repo doesn't hide the state of all the others.
+//
+// - `missing-repo` (error) / `archived-repo`, `renamed-repo` (warn): what the repo's host says about it
+// - `build-failed` (error): building the entry threw, e.g. a bad `metadata.json`
+// - `no-installable-versions` (error): every release was ignored, yanked or has nothing to download
+// - `missing-platforms` (warn): the newest installable version lacks a download for some platform
+// - `stale-releases` (warn): nothing was released for `STALE_AFTER_DAYS`
+// - `unreachable-website` (warn): `website_url` / `external_link` doesn't respond successfully
+// - `default-games` (warn): no release says which games it supports, so the content type's default is assumed
+
+const STALE_AFTER_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+const STATUS_ORDER = ["error", "warn", "ok"];
+const STATUS_LABELS = {
+    error: "🔴 error",
+    warn: "🟡 warn",
+    ok: "🟢 ok"
+};
+
+// Resolves to a problem if the url doesn't respond successfully, some servers don't do HEAD so it falls back to GET
+async function checkReachable(url, field) {
+    try {
+        let resp = await fetch(url, { method: "HEAD", redirect: "follow" });
+        if (resp.status === 405 || resp.status === 501) {
+            resp = await fetch(url, { redirect: "follow" });
+        }
+        if (resp.status >= 400) {
+            return { severity: "warn", check: "unreachable-website", message: `'${field}' responds with status code ${resp.status}: ${url}` };
+        }
+    } catch (e) {
+        return { severity: "warn", check: "unreachable-website", message: `'${field}' can't be reached (${e.cause?.code ?? e.cause?.message ?? e.message}): ${url}` };
+    }
+    return undefined;
+}
+
+function checkVersions(modInfo, contentType, entry, now) {
+    let problems = [];
+    const installable = entry.versions.filter((version) => !version.yanked && contentType.hasAssets(version));
+    if (installable.length === 0) {
+        problems.push({ severity: "error", check: "no-installable-versions", message: `none of the ${entry.versions.length} published version(s) can be installed` });
+    } else {
+        const newest = installable.reduce((newest, version) => Date.parse(version.publishedDate) > Date.parse(newest.publishedDate) ? version : newest);
+        const platforms = new Set(contentType.listDownloads(newest).flatMap((download) => download.platforms));
+        const missing = PLATFORMS.filter((platform) => !platforms.has(platform));
+        if (missing.length > 0) {
+            problems.push({ severity: "warn", check: "missing-platforms", message: `the newest version (${newest.version}) has no download for ${missing.join(", ")}` });
+        }
+        const age = Math.floor((now - Date.parse(newest.publishedDate)) / DAY);
+        if (age > STALE_AFTER_DAYS) {
+            problems.push({ severity: "warn", check: "stale-releases", message: `the newest version (${newest.version}) was released ${age} days ago` });
+        }
+    }
+    const gamesFromReleases = entry.versions.some((version) => version.supportedGames.length > 0);
+    if (!gamesFromReleases && modInfo["supported_games"] === undefined && contentType.defaultSupportedGames.length > 0) {
+        problems.push({ severity: "warn", check: "default-games", message: `no release says which games it supports, '${contentType.defaultSupportedGames.join(", ")}' is assumed` });
+    }
+    return problems;
+}
+
+// `context` is what `buildSourceEntry` needs, minus the provider which comes from `context.resolveProvider`.
+// Resolves to `{ key, type, name, status, problems: [{ severity, check, message }] }`, it never throws
+export async function checkEntryHealth(modName, modInfo, contentType, context, now = Date.now()) {
+    let problems = [];
+    const report = () => ({
+        key: modName,
+        type: contentType.sourceKey,
+        name: modInfo["display_name"],
+        status: STATUS_ORDER.find((status) => problems.some((problem) => problem.severity === status)) ?? "ok",
+        problems: problems
+    });
+
+    for (const field of ["website_url", "external_link"]) {
+        if (typeof modInfo[field] === "string") {
+            const problem = await checkReachable(modInfo[field], field);
+            if (problem !== undefined) {
+                problems.push(problem);
+            }
+        }
+    }
+    if (contentType.allowExternalLink && modInfo["external_link"] !== undefined) {
+        return report();
+    }
+
+    let provider;
+    try {
+        provider = context.resolveProvider(modInfo["provider"]);
+        const repoInfo = await provider.repoInfo(modInfo["repo_owner"], modInfo["repo_name"]);
+        if (!repoInfo.exists) {
+            problems.push({ severity: "error", check: "missing-repo", message: `${modInfo["repo_owner"]}/${modInfo["repo_name"]} doesn't exist (anymore)` });
+            return report();
+        }
+        if (repoInfo.archived) {
+            problems.push({ severity: "warn", check: "archived-repo", message: `${modInfo["repo_owner"]}/${modInfo["repo_name"]} is archived` });
+        }
+        if (repoInfo.renamedTo !== undefined) {
+            problems.push({ severity: "warn", check: "renamed-repo", message: `${modInfo["repo_owner"]}/${modInfo["repo_name"]} was renamed to ${repoInfo.renamedTo}` });
+        }
+    } catch (e) {
+        problems.push({ severity: "error", check: "missing-repo", message: `couldn't look up ${modInfo["repo_owner"]}/${modInfo["repo_name"]}: ${e.message}` });
+        return report();
+    }
+
+    let entry;
+    try {
+        entry = await buildSourceEntry(modName, modInfo, contentType, { ...context, provider: provider });
+    } catch (e) {
+        problems.push({ severity: "error", check: "build-failed", message: e.message });
+        return report();
+    }
+    problems.push(...checkVersions(modInfo, contentType, entry, now));
+    return report();
+}
+
+// Markdown for an issue, only listing the entries that need attention. Empty if there are none
+export function renderHealthReport(results) {
+    const counts = Object.fromEntries(STATUS_ORDER.map((status) => [status, results.filter((result) => result.status === status).length]));
+    const flagged = results
+        .filter((result) => result.status !== "ok")
+        .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.key.localeCompare(b.key));
+    if (flagged.length === 0) {
+        return "";
+    }
+    let lines = [
+        "## Mod list health",
+        "",
+        `Checked ${results.length} entries: ${STATUS_ORDER.map((status) => `${counts[status]} ${status}`).join(", ")}.`,
+        "",
+        "| Entry | Status | Problems |",
+        "| --- | --- | --- |"
+    ];
+    for (const result of flagged) {
+        // the messages quote config values, urls and upstream errors, so they're escaped just like the names
+        const problems = result.problems.map((problem) => `**${problem.severity}** ${escapeMarkdownCell(problem.message)} (\`${problem.check}\`)`);
+        lines.push(`| ${escapeMarkdownCell(result.key)} - ${escapeMarkdownCell(result.name)} | ${STATUS_LABELS[result.status]} | ${problems.join("<br>")} |`);
+    }
+    return lines.join("\n");
+}
@@ -0,0 +1,130 @@
+import * as fs from "fs";
+import * as path from "path";
+import { contentTypes } from "./content-types.js";
+
+// Download counts over time. They change on nearly every run, which alone doesn't warrant rewriting mods.json, so
+// the counts in mods.json are only as fresh as the last real change to the entry. Every run records them here
+// instead, this (and the stats built from it, see `stats.js`) is where the current counts are.
+//
+// The store is a JSON Lines file that is only ever appended to, one snapshot per line:
+//   { "timestamp": "<ISO date>", "counts": { "<sourceKey>": { "<key>": { "<version>": { "<slot>": <count> } } } } }
+// where slots are the same as for asset matching, e.g. `windows-x86_64`, or `download` for texture packs.
+// A snapshot only holds the counts that went up since the one before it, replaying the file from the top gives
+// the counts at any point in time. Counts never go down, a lower one is always stale (e.g. from an upstream source
+// that's behind), not a real change. Counts of withdrawn versions and removed entries are simply no longer updated,
+// and neither are those of entries that weren't fetched this run, see `record`. Anything reading it only at a daily
+// resolution (like `stats.js`) simply keeps the day's last counts.
+//
+// Unlike the release cache this can't be rebuilt, so a file that can't be read is an error rather than a fresh start.
+
+// `{ sourceKey: { key: { version: { slot: count } } } }` of everything in the mod source data
+export function collectDownloadCounts(modSourceData) {
+    let counts = {};
+    for (const contentType of contentTypes) {
+        counts[contentType.sourceKey] = {};
+        for (const [key, entry] of Object.entries(modSourceData[contentType.sourceKey] ?? {})) {
+            counts[contentType.sourceKey][key] = Object.fromEntries(entry.versions.map((version) => [version.version, contentType.downloadCounts(version)]));
+        }
+    }
+    return counts;
+}
+
+// The mod source data as it would be without any download counts, to tell real content changes apart
+export function withoutDownloadCounts(modSourceData) {
+    let stripped = { ...modSourceData };
+    for (const contentType of contentTypes) {
+        if (modSourceData[contentType.sourceKey] === undefined) {
+            continue;
+        }
+        stripped[contentType.sourceKey] = Object.fromEntries(Object.entries(modSourceData[contentType.sourceKey]).map(([key, entry]) => [
+            key,
+            { ...entry, versions: entry.versions.map((version) => contentType.withoutDownloadCounts(version)) }
+        ]));
+    }
+    return stripped;
+}
+
+// Applies a snapshot's counts on top of `counts` (in place), calls `onChange(sourceKey, key)` for every entry it touched
+export function applySnapshot(counts, snapshot, onChange = () => { }) {
+    for (const [sourceKey, entries] of Object.entries(snapshot.counts)) {
+        counts[sourceKey] ??= {};
+        for (const [key, versions] of Object.entries(entries)) {
+            counts[sourceKey][key] ??= {};
+            for (const [version, slots] of Object.entries(versions)) {
+                counts[sourceKey][key][version] = { ...counts[sourceKey][key][version], ...slots };
+            }
+            onChange(sourceKey, key);
+        }
+    }
+    return counts;
+}
+
+// Only the counts in `next` that are higher than in `previous` (or new), in the same shape, or `undefined` if there are none
+function changedCounts(previous, next, skippedKeys) {
+    let changes = {};
+    for (const [sourceKey, entries] of Object.entries(next)) {
+        for (const [key, versions] of Object.entries(entries)) {
+            if (skippedKeys.includes(key)) {
+                continue;
+            }
+            for (const [version, slots] of Object.entries(versions)) {
+                for (const [slot, count] of Object.entries(slots)) {
+                    const previousCount = previous[sourceKey]?.[key]?.[version]?.[slot];
+                    if (previousCount !== undefined && count <= previousCount) {
+                        continue;
+                    }
+                    changes[sourceKey] ??= {};
+                    changes[sourceKey][key] ??= {};
+                    changes[sourceKey][key][version] ??= {};
+                    changes[sourceKey][key][version][slot] = count;
+                }
+            }
+        }
+    }
+    return Object.keys(changes).length > 0 ? changes : undefined;
+}
+
+export function loadDownloadHistory(historyPath) {
+    let snapshots = [];
+    if (fs.existsSync(historyPath)) {
+        const lines = fs.readFileSync(historyPath).toString().split("\n");
+        for (const [idx, line] of lines.entries()) {
+            if (line.trim() === "") {
+                continue;
+            }
+            let snapshot;
+            try {
+                snapshot = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`${historyPath}:${idx + 1}: not a valid snapshot - ${e.message}`);
+            }
+            if (typeof snapshot?.timestamp !== "string" || typeof snapshot.counts !== "object" || snapshot.counts === null) {
+                throw new Error(`${historyPath}:${idx + 1}: not a valid snapshot - expected a timestamp and counts`);
+            }
+            snapshots.push(snapshot);
+        }
+    }
+    let counts = {};
+    for (const snapshot of snapshots) {
+        applySnapshot(counts, snapshot);
+    }
+
+    return {
+        snapshots: snapshots,
+        // Appends the counts in the mod source data that went up since the last snapshot, returns the new snapshot if there was one.
+        // `carriedOver` are the keys of entries that weren't fetched this run (--only, or their provider failed), what
+        // they have are the counts of whenever they were last published so those are left alone
+        record(modSourceData, { carriedOver = [], timestamp = (new Date()).toISOString() } = {}) {
+            const changes = changedCounts(counts, collectDownloadCounts(modSourceData), carriedOver);
+            if (changes === undefined) {
+                return undefined;
+            }
+            const snapshot = { timestamp: timestamp, counts: changes };
+            fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+            fs.appendFileSync(historyPath, JSON.stringify(snapshot) + "\n");
+            snapshots.push(snapshot);
+            applySnapshot(counts, snapshot);
+            return snapshot;
+        }
+    };
+}
@@ -1,458 +1,432 @@
-import { Octokit } from "@octokit/rest";
-import { throttling } from "@octokit/plugin-throttling";
-import { retry } from "@octokit/plugin-retry";
-import YAML from 'yaml'
 import * as fs from "fs";
+import * as path from "path";
 import { exit } from "process";
-import semver from 'semver';
-
-const args = process.argv.slice(2);
-let lintMode = false;
-if (args.length !== 0) {
-    lintMode = args[0] === "lint";
-    console.log("lint mode enabled");
-}
-
-let octokit = undefined;
-if (!lintMode) {
-    Octokit.plugin(throttling);
-    Octokit.plugin(retry);
-    octokit = new Octokit({
-        auth: process.env.GITHUB_TOKEN,
-        userAgent: "OpenGOAL-Mods/jakmods.dev",
-        log: {
-            debug: () => { },
-            info: () => { },
-            warn: console.warn,
-            error: console.error,
-        },
-        throttle: {
-            onRateLimit: (retryAfter, options) => {
-                octokit.log.warn(
-                    `Request quota exhausted for request ${options.method} ${options.url}`,
-                );
-                if (options.request.retryCount <= 2) {
-                    console.log(`Retrying after ${retryAfter} seconds!`);
-                    return true;
-                }
-            },
-            onAbuseLimit: (retryAfter, options) => {
-                octokit.log.warn(
-                    `Abuse detected for request ${options.method} ${options.url}`,
-                );
-            },
-        },
-    });
-}
-
-function exitWithError(errorMessage) {
-    console.error(errorMessage);
-    exit(1);
-}
-
-function validateJsonKeys(keysToCheck, keys, messagePrefix) {
-    for (const key of keysToCheck) {
-        if (!keys.includes(key)) {
-            console.error(`${messagePrefix}: missing ${key}`)
-            return false;
-        }
-    }
-    return true;
-}
+import { parseArgs } from "util";
+import { createProviderResolver } from "./providers/index.js";
+import { contentTypes } from "./content-types.js";
+import { buildSourceEntry } from "./pipeline.js";
+import { loadReleaseCache, readCachedMetadata, readCachedReleases } from "./cache.js";
+import { createAssetInspector } from "./integrity.js";
+import { createArtMirror } from "./art.js";
+import { diffModSources, isEmptyDiff, renderChangelogMarkdown } from "./changelog.js";
+import { writeFeeds } from "./feeds.js";
+import { writeSite } from "./site.js";
+import { writeStats } from "./stats.js";
+import { checkEntryHealth, renderHealthReport } from "./health.js";
+import { loadDownloadHistory, withoutDownloadCounts } from "./history.js";
+import { lintCachedReleases, lintConfig, lintModSourceFile, lintSerialization, lintUpstreamSources, parseSourceFile, printDiagnostics, validateModSourceData, writeLintReport } from "./lint.js";
+import { log, reserveStdout, setLogLevel } from "./log.js";
+import { configOrigin, loadUpstreamSource, mergeOrigins, upstreamOrigin } from "./upstream.js";
+import { PRIMARY_SCHEMA_VERSION, formatModSource, modSourcePath, readModSource, schemaVersions, serializeModSource } from "./schema-versions.js";
 
-// Retrieve the configuration so we know what to look for
-if (!fs.existsSync("./config.yaml")) {
-    exitWithError("Couldn't locate 'config.yaml' file, aborting!");
+const USAGE = `usage: node index.js [command] [options]
+
+commands:
+  build            generate mods.json (and mods.v2.json), the release feeds, the site's pages and download statistics (default)
+  lint             check the config, cached releases and the existing mods.json files, writes lint-report.json
+  diff             print what a build would change in mods.json, without writing it
+  inspect <mod>    build a single entry and print it
+  health           check every entry for broken repos, missing downloads and stale releases, prints a Markdown report
+
+options:
+  --config <path>        config file to read (default: ./config.yaml)
+  --output <path>        mods.json to compare against and write (default: ../../site/mods.json),
+                         newer schema versions, feeds and pages are written next to it
+  --only <mod>           only process these entries, can be repeated, the rest is kept as-is from --output
+                         (so a build needs an existing one, a --dry-run doesn't)
+  --dry-run              print the generated mods.json to stdout instead of writing anything
+  --json                 print the diff or health report as JSON rather than Markdown
+  --no-cache             start from an empty release cache, forcing a full rebuild
+  --refresh <mod>        ignore the release cache for specific entries, can be repeated
+  --skip-asset-checks    don't download release assets to hash and check them
+  --skip-art-checks      don't fetch art, only reuse the copies mirrored into the site before
+  --verbose, --quiet     print more, or only warnings and errors
+  --help                 show this message
+
+exit codes:
+  0  success
+  1  invalid arguments or config
+  2  an upstream file could not be processed (inspect: the entry could not be built, health: an entry has errors),
+     entries whose release provider fails are otherwise carried over from the existing file and logged as errors
+  3  nothing changed (build and diff)`;
+
+// Kept distinct so the workflows (and anyone scripting around the generator) can tell failures apart
+const EXIT_OK = 0;
+const EXIT_CONFIG_ERROR = 1;
+const EXIT_UPSTREAM_ERROR = 2;
+const EXIT_NO_CHANGES = 3;
+
+const COMMANDS = ["build", "lint", "diff", "inspect", "health"];
+const DEFAULT_CONFIG_PATH = "./config.yaml";
+const DEFAULT_OUTPUT_PATH = "../../site/mods.json";
+const DEFAULT_SITE_URL = "https://jakmods.dev";
+const LINT_REPORT_PATH = "./lint-report.json";
+const RELEASE_CACHE_PATH = "./.cache/release-cache.json";
+const DOWNLOAD_HISTORY_PATH = "./download-history.jsonl";
+const CHANGELOG_MARKDOWN_PATH = "./changelog.md";
+const CHANGELOG_JSON_PATH = "./changelog.json";
+
+function exitWithError(errorMessage, exitCode = EXIT_CONFIG_ERROR) {
+    log.error(errorMessage);
+    exit(exitCode);
 }
 
-// Parse it
-let configFile;
+let options, positionals;
 try {
-    configFile = YAML.parse(fs.readFileSync("./config.yaml").toString())
+    ({ values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            "config": { type: "string", default: DEFAULT_CONFIG_PATH },
+            "output": { type: "string", default: DEFAULT_OUTPUT_PATH },
+            "only": { type: "string", multiple: true, default: [] },
+            "dry-run": { type: "boolean", default: false },
+            "json": { type: "boolean", default: false },
+            "no-cache": { type: "boolean", default: false },
+            "refresh": { type: "string", multiple: true, default: [] },
+            "skip-asset-checks": { type: "boolean", default: false },
+            "skip-art-checks": { type: "boolean", default: false },
+            "verbose": { type: "boolean", default: false },
+            "quiet": { type: "boolean", default: false },
+            "help": { type: "boolean", default: false }
+        }
+    }));
 } catch (e) {
-    exitWithError(`Couldn't successfully parse config file, fix it!: ${e}`);
+    exitWithError(`${e.message}\n\n${USAGE}`);
 }
-
-// Validate config file metadata
-if (!configFile["metadata"]["name"]) {
-    exitWithError(`'metadata' section missing schema_version or name`);
+if (options["help"]) {
+    console.log(USAGE);
+    exit(EXIT_OK);
 }
 
-let modSourceData = {
-    schemaVersion: "1.0.0",
-    sourceName: configFile["metadata"]["name"],
-    mods: {},
-    texturePacks: {}
+const command = positionals[0] ?? "build";
+if (!COMMANDS.includes(command)) {
+    exitWithError(`unknown command '${command}'\n\n${USAGE}`);
+}
+if (command === "inspect" && positionals.length < 2) {
+    exitWithError(`inspect needs the key of the entry to build\n\n${USAGE}`);
+}
+const maxPositionals = command === "inspect" ? 2 : 1;
+if (positionals.length > maxPositionals) {
+    exitWithError(`unexpected argument '${positionals[maxPositionals]}'\n\n${USAGE}`);
+}
+if (options["verbose"] && options["quiet"]) {
+    exitWithError("--verbose and --quiet can't be used together");
+}
+if (options["verbose"]) {
+    setLogLevel("debug");
+} else if (options["quiet"]) {
+    setLogLevel("warn");
+}
+// these commands print their result, so keep everything else off stdout
+if (options["dry-run"] || ["diff", "inspect", "health"].includes(command)) {
+    reserveStdout();
 }
 
-// Now we can start generating the actual mod-source file
-if (!configFile["mods"]) {
-    exitWithError(`'mods' section missing`);
-}
-// iterate through all listed repos and build up the file
-for (const [modName, modInfo] of Object.entries(configFile["mods"])) {
-    // Iterate through the releases
-    // - check that we shouldn't ignore it
-    // - if the assets have a `metadata.json` file, we download and inspect it for a handful of settings (potentially used more in the future)
-    if (!validateJsonKeys(["display_name", "description", "authors", "tags"], Object.keys(modInfo), `${modName}`)) {
-        exitWithError("aborting");
-    }
-    let modSourceInfo = {
-        displayName: modInfo["display_name"],
-        description: modInfo["description"],
-        authors: modInfo["authors"],
-        tags: modInfo["tags"],
-        websiteUrl: modInfo["website_url"],
-        supportedGames: [],
-        versions: [],
-        coverArtUrl: undefined,
-        thumbnailArtUrl: undefined,
-        perGameConfig: {},
-        externalLink: null
-    };
-    if (!Object.keys(modInfo).includes("website_url")) {
-        // either its an external link and we can ignore it
-        // or we infer it from the repo_owner_name
-        if (!Object.keys(modInfo).includes("external_link")) {
-            modSourceInfo.websiteUrl = `https://www.github.com/${modInfo["repo_owner"]}/${modInfo["repo_name"]}`;
+const CONFIG_PATH = options["config"];
+const CONFIG_DIR = path.dirname(CONFIG_PATH);
+const MOD_SOURCE_PATH = options["output"];
+const SITE_DIR = path.dirname(MOD_SOURCE_PATH);
+const onlyModNames = command === "inspect" ? [positionals[1]] : options["only"];
+
+// Reads every `upstream_sources` entry, the ones that fail are collected in `failures` as `{ index, message }`
+async function loadUpstreamOrigins(upstreamSources, failures) {
+    let origins = [];
+    for (const [idx, upstreamInfo] of (upstreamSources ?? []).entries()) {
+        try {
+            origins.push(upstreamOrigin(await loadUpstreamSource(upstreamInfo, CONFIG_DIR), idx));
+        } catch (e) {
+            failures.push({ index: idx, message: e.message });
         }
     }
-    if (Object.keys(modInfo).includes("cover_art_url")) {
-        modSourceInfo.coverArtUrl = modInfo["cover_art_url"];
-    }
-    if (Object.keys(modInfo).includes("thumbnail_art_url")) {
-        modSourceInfo.thumbnailArtUrl = modInfo["thumbnail_art_url"];
+    return origins;
+}
+
+// Retrieve the configuration so we know what to look for
+if (!fs.existsSync(CONFIG_PATH)) {
+    exitWithError(`Couldn't locate '${CONFIG_PATH}' file, aborting!`);
+}
+
+// Parse and lint it, collecting every problem rather than stopping at the first one
+const configSource = parseSourceFile(path.relative(".", CONFIG_PATH), fs.readFileSync(CONFIG_PATH).toString());
+let diagnostics = lintConfig(configSource);
+
+if (command === "lint") {
+    // check the asset rules and metadata against whatever releases the last run saw
+    // and see which entries the upstream sources we merge in would clash with
+    if (!diagnostics.some((diagnostic) => diagnostic.severity === "error")) {
+        let knownKeys = contentTypes.flatMap((contentType) => Object.keys(configSource.data[contentType.configKey] ?? {}));
+        if (configSource.data["upstream_sources"] !== undefined) {
+            const failures = [];
+            const upstreamOrigins = await loadUpstreamOrigins(configSource.data["upstream_sources"], failures);
+            const { merged, conflicts } = mergeOrigins([configOrigin(configSource.data, createProviderResolver(configSource.data["providers"], CONFIG_DIR)), ...upstreamOrigins]);
+            diagnostics = diagnostics.concat(lintUpstreamSources(configSource, failures, conflicts));
+            knownKeys = [...new Set([...knownKeys, ...contentTypes.flatMap((contentType) => Object.keys(merged[contentType.sourceKey] ?? {}))])];
+        }
+        diagnostics = diagnostics.concat(lintCachedReleases(configSource, readCachedReleases(RELEASE_CACHE_PATH), readCachedMetadata(RELEASE_CACHE_PATH), knownKeys));
     }
-    if (Object.keys(modInfo).includes("per_game_config")) {
-        // iterate per-game configs
-        for (const [game, perGameConfig] of Object.entries(modInfo["per_game_config"])) {
-            modSourceInfo.perGameConfig[game] = {};
-            if (Object.keys(perGameConfig).includes("cover_art_url")) {
-                modSourceInfo.perGameConfig[game].coverArtUrl = perGameConfig["cover_art_url"];
-            }
-            if (Object.keys(perGameConfig).includes("thumbnail_art_url")) {
-                modSourceInfo.perGameConfig[game].thumbnailArtUrl = perGameConfig["thumbnail_art_url"];
-            }
+    // also make sure the currently published files are still valid, and that publishing them again wouldn't change them
+    let outputs = [];
+    for (const { schemaVersion } of schemaVersions) {
+        const outputPath = modSourcePath(schemaVersion, MOD_SOURCE_PATH);
+        if (fs.existsSync(outputPath)) {
+            const contents = fs.readFileSync(outputPath).toString();
+            const source = parseSourceFile(outputPath, contents);
+            diagnostics = diagnostics.concat(lintModSourceFile(source));
+            outputs.push({ schemaVersion: schemaVersion, source: source, contents: contents });
         }
     }
+    if (outputs[0]?.schemaVersion === PRIMARY_SCHEMA_VERSION) {
+        diagnostics = diagnostics.concat(lintSerialization(outputs));
+    }
+    printDiagnostics(diagnostics);
+    writeLintReport(LINT_REPORT_PATH, diagnostics);
+    const errorCount = diagnostics.filter((diagnostic) => diagnostic.severity === "error").length;
+    const warningCount = diagnostics.length - errorCount;
+    log.info(`${errorCount} error(s), ${warningCount} warning(s) - report written to ${LINT_REPORT_PATH}`);
+    exit(errorCount > 0 ? EXIT_CONFIG_ERROR : EXIT_OK);
+}
+
+printDiagnostics(diagnostics);
+if (diagnostics.some((diagnostic) => diagnostic.severity === "error")) {
+    exitWithError(`${configSource.fileName} has errors, run 'npm run lint' for the full report. aborting!`);
+}
+const configFile = configSource.data;
 
-    // if the mod is external only, we don't check releases
-    if (Object.keys(modInfo).includes("external_link")) {
-        modSourceInfo.externalLink = modInfo["external_link"];
-        if (!Object.keys(modInfo).includes("supported_games")) {
-            exitWithError(`${modName} is external but lacks 'supported_games'`)
+function contentTypeOf(modName) {
+    return contentTypes.find((contentType) => Object.keys(configFile[contentType.configKey] ?? {}).includes(modName));
+}
+function checkListed(flag, modNames) {
+    for (const modName of modNames) {
+        if (contentTypeOf(modName) === undefined) {
+            exitWithError(`${flag}: '${modName}' is not listed in ${configSource.fileName}`);
         }
-        modSourceInfo.supportedGames = modInfo["supported_games"];
-        modSourceData.mods[modName] = modSourceInfo;
-        continue;
-    }
-    // otherwise, we poll github
-    if (!modInfo["repo_owner"] || !modInfo["repo_name"]) {
-        exitWithError(`'repo_owner' or 'repo_name' missing in: ${modName}`);
     }
-    if (!lintMode) {
-        const modReleases = await octokit.paginate(octokit.rest.repos.listReleases, { owner: modInfo["repo_owner"], repo: modInfo["repo_name"] });
+}
+checkListed("--refresh", options["refresh"]);
+checkListed(command === "inspect" ? "inspect" : "--only", onlyModNames);
 
-        for (const release of modReleases) {
-            let cleaned_release_tag = release.tag_name;
-            if (cleaned_release_tag.startsWith("v")) {
-                cleaned_release_tag = cleaned_release_tag.substring(1);
-            }
-            if (!semver.valid(cleaned_release_tag)) {
-                console.error(`${modName}:${cleaned_release_tag} is not a valid semantic version, skipping`);
+const resolveProvider = createProviderResolver(configFile["providers"], CONFIG_DIR);
+
+// Unlike a build, a broken entry is just part of the report, the release cache is only read from
+if (command === "health") {
+    const releaseCache = loadReleaseCache(RELEASE_CACHE_PATH, { enabled: !options["no-cache"], refresh: options["refresh"] });
+    let results = [];
+    for (const contentType of contentTypes) {
+        for (const [modName, modInfo] of Object.entries(configFile[contentType.configKey] ?? {})) {
+            if (onlyModNames.length > 0 && !onlyModNames.includes(modName)) {
                 continue;
             }
-            // Check that we shouldn't ignore it
-            if (Object.keys(modInfo).includes("ignore_versions")) {
-                let skipIt = false;
-                for (const ignore_version of modInfo["ignore_versions"]) {
-                    if (ignore_version.startsWith("<")) {
-                        let cleaned_ignore_version = ignore_version.substring(1);
-                        if (semver.lt(cleaned_release_tag, cleaned_ignore_version)) {
-                            console.log(`ignoring release - ${modName}:${cleaned_release_tag}`);
-                            skipIt = true;
-                            break;
-                        }
-                    } else if (semver.eq(ignore_version, cleaned_release_tag)) {
-                        console.log(`ignoring release - ${modName}:${ignore_version}`);
-                        skipIt = true;
-                        break;
-                    }
-                }
-                if (skipIt) {
-                    continue;
-                }
-                // otherwise, we ain't skipping it...yet
-                let newVersion = {
-                    version: cleaned_release_tag,
-                    publishedDate: release.published_at,
-                    supportedGames: [],
-                    settings: {
-                        decompConfigOverride: "",
-                        shareVanillaSaves: false,
-                    },
-                    assets: {
-                        windows: null,
-                        linux: null,
-                        macos: null
-                    },
-                    assetDownloadCounts: {
-                        windows: 0,
-                        linux: 0,
-                        macos: 0
-                    }
-                }
-                // get the assets
-                let metadataFileUrl = null;
-                for (const asset of release.assets) {
-                    if (asset.name.toLowerCase().startsWith("windows-")) {
-                        newVersion.assets.windows = asset.browser_download_url;
-                        newVersion.assetDownloadCounts.windows = asset.download_count;
-                    } else if (asset.name.toLowerCase().startsWith("linux-")) {
-                        newVersion.assets.linux = asset.browser_download_url;
-                        newVersion.assetDownloadCounts.linux = asset.download_count;
-                    } else if (asset.name.toLowerCase().startsWith("macos-")) {
-                        newVersion.assets.macos = asset.browser_download_url;
-                        newVersion.assetDownloadCounts.macos = asset.download_count;
-                    } else if (asset.name.toLowerCase() === "metadata.json") {
-                        metadataFileUrl = asset.browser_download_url;
-                    }
-                }
-                if (metadataFileUrl !== null) {
-                    const metadataResp = await fetch(metadataFileUrl);
-                    if (metadataResp.status === 200) {
-                        try {
-                            const data = JSON.parse(await metadataResp.text());
-                            if (Object.keys(data).includes("settings")) {
-                                newVersion.settings = data.settings;
-                            }
-                            if (!Object.keys(data).includes("supportedGames")) {
-                                exitWithError(`metadata.json, for version: ${modName}:${cleaned_release_tag} does not include 'supportedGames'`)
-                            } else {
-                                newVersion.supportedGames = data.supportedGames;
-
-                                // temporary for backwards compatibility
-                                for (const supportedGame of newVersion.supportedGames) {
-                                    if (!modSourceInfo.supportedGames.includes(supportedGame)) {
-                                        modSourceInfo.supportedGames.push(supportedGame);
-                                    }
-                                }
-
-                                // now we know what games are supported, we can check if we need to update per-game release date info
-                                for (const supportedGame of newVersion.supportedGames) {
-                                    if (!Object.keys(modSourceInfo.perGameConfig).includes(supportedGame)) {
-                                        modSourceInfo.perGameConfig[supportedGame] = {};
-                                    }
-
-                                    if (Object.keys(modInfo).includes("release_date_override")) {
-                                        // top-level release date override
-                                        modSourceInfo.perGameConfig[supportedGame].releaseDate = modInfo["release_date_override"];
-                                    } else if (Object.keys(modInfo).includes("per_game_config") && Object.keys(modInfo["per_game_config"]).includes(supportedGame) && Object.keys(modInfo["per_game_config"][supportedGame]).includes("release_date_override")) {
-                                        // per-game release date override
-                                        modSourceInfo.perGameConfig[supportedGame].releaseDate = modInfo["per_game_config"][supportedGame]["release_date_override"];
-                                    } else {
-                                        // no override -> check if this is the first release we've seem for this game, or earlier than other releases;
-                                        if (!Object.keys(modSourceInfo.perGameConfig[supportedGame]).includes("releaseDate") || Date.parse(modSourceInfo.perGameConfig[supportedGame].releaseDate) > Date.parse(newVersion.publishedDate)) {
-                                            modSourceInfo.perGameConfig[supportedGame].releaseDate = newVersion.publishedDate;
-                                        }
-                                    }
-                                }
-
-                                // verify art for all supported games (could be shared across all games, or specified per-game)
-                                if (modSourceInfo.coverArtUrl === undefined) {
-                                    if (!Object.keys(modInfo).includes("per_game_config")) {
-                                        exitWithError(`${modName} does not define 'cover_art_url' but lacks 'per_game_config'`)
-                                    }
-                                    // Check per game config
-                                    if (!lintMode) {
-                                        for (const supportedGame of newVersion.supportedGames) {
-                                            if (!Object.keys(modSourceInfo.perGameConfig).includes(supportedGame) || !Object.keys(modSourceInfo.perGameConfig[supportedGame]).includes("coverArtUrl")) {
-                                                exitWithError(`${modName} does not define 'cover_art_url' and it's missing in 'per_game_config.${supportedGame}'`);
-                                            }
-                                        }
-                                    }
-                                }
-                                if (modSourceInfo.thumbnailArtUrl === undefined) {
-                                    if (!Object.keys(modInfo).includes("per_game_config")) {
-                                        exitWithError(`${modName} does not define 'thumbnail_art_url' but lacks 'per_game_config'`)
-                                    }
-                                    // Check per game config
-                                    if (!lintMode) {
-                                        for (const supportedGame of newVersion.supportedGames) {
-                                            if (!Object.keys(modSourceInfo.perGameConfig).includes(supportedGame) || !Object.keys(modSourceInfo.perGameConfig[supportedGame]).includes("thumbnailArtUrl")) {
-                                                exitWithError(`${modName} does not define 'thumbnail_art_url' and it's missing in 'per_game_config.${supportedGame}'`);
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        } catch (e) {
-                            exitWithError(`Bad metadata.json, not valid JSON: ${e} -- ${modName}:${cleaned_release_tag}`)
-                        }
-                    } else {
-                        exitWithError(`Hit non-200 status code when fetching metadata file for mod release version ${modName}:${cleaned_release_tag}`);
-                    }
-                } else {
-                    exitWithError(`Could not find 'metadata.json' asset in ${modName}:${cleaned_release_tag}`);
-                }
-
-                // If there are no assets, skip it -- there's nothing to download!
-                if (newVersion.assets.windows === null && newVersion.assets.linux === null && newVersion.assets.macos === null) {
-                    console.log(`ignoring version, no assets found - ${modName}:${cleaned_release_tag}`);
-                    continue;
-                }
-                // otherwise, add it to the list
-                modSourceInfo.versions.push(newVersion);
-            }
+            const result = await checkEntryHealth(modName, modInfo, contentType, {
+                resolveProvider: resolveProvider,
+                releaseCache: releaseCache,
+                assetRules: configFile["asset_matching"]
+            });
+            log.debug(`${result.status} - ${modName}`);
+            results.push(result);
         }
     }
+    if (options["json"]) {
+        console.log(JSON.stringify(results, null, 4));
+    } else if (results.some((result) => result.status !== "ok")) {
+        console.log(renderHealthReport(results));
+    }
+    const errorCount = results.filter((result) => result.status === "error").length;
+    const warningCount = results.filter((result) => result.status === "warn").length;
+    log.info(`${results.length} entries checked: ${errorCount} with errors, ${warningCount} with warnings`);
+    exit(errorCount > 0 ? EXIT_UPSTREAM_ERROR : EXIT_OK);
+}
 
-    // TODO - this should only be required on external mods which are already verified before
-    // can probably be removed "soon"
-    //
-    // safety hack, default to just jak1 if no supportedGames provided
-    if (modSourceInfo.supportedGames.length == 0) {
-        modSourceInfo.supportedGames.push("jak1");
-        console.log(`had no supported games at the top level, this is optional, defaulted to 'jak1': ${modName}`)
+function getProvider(modName, modInfo) {
+    try {
+        return resolveProvider(modInfo["provider"]);
+    } catch (e) {
+        exitWithError(`${modName}: ${e.message}`);
     }
+}
 
-    // add to source json
-    modSourceData.mods[modName] = modSourceInfo;
+// Everything below works on the canonical model, it's only turned into the published schema versions when written out
+let existingModSourceData = undefined;
+let existingLastUpdated = undefined;
+if (fs.existsSync(MOD_SOURCE_PATH)) {
+    ({ model: existingModSourceData, lastUpdated: existingLastUpdated } = readModSource(JSON.parse(fs.readFileSync(MOD_SOURCE_PATH))));
+}
+// otherwise the published file would only list the entries that were asked for
+if (command === "build" && !options["dry-run"] && onlyModNames.length > 0 && existingModSourceData === undefined) {
+    exitWithError(`--only keeps every other entry as it is in '${MOD_SOURCE_PATH}', which doesn't exist. Build everything first, or add --dry-run`);
 }
 
-if (configFile["texture_packs"]) {
-    // Do the same with texture packs
-    // TODO - lots of duplication, de-duplicate it if you care
-    // iterate through all listed repos and build up the file
-    for (const [modName, modInfo] of Object.entries(configFile["texture_packs"])) {
-        // Iterate through the releases
-        // - check that we shouldn't ignore it
-        // - if the assets have a `metadata.json` file, we download and inspect it for a handful of settings (potentially used more in the future)
-        if (!validateJsonKeys(["display_name", "description", "authors", "tags"], Object.keys(modInfo), `${modName}`)) {
-            exitWithError("aborting");
-        }
-        let modSourceInfo = {
-            displayName: modInfo["display_name"],
-            description: modInfo["description"],
-            authors: modInfo["authors"],
-            tags: modInfo["tags"],
-            websiteUrl: modInfo["website_url"],
-            versions: [],
-            thumbnailArtUrl: undefined,
-            perGameConfig: undefined,
-        };
-        if (!Object.keys(modInfo).includes("website_url")) {
-            // either its an external link and we can ignore it
-            // or we infer it from the repo_owner_name
-            if (!Object.keys(modInfo).includes("external_link")) {
-                modSourceInfo.websiteUrl = `https://www.github.com/${modInfo["repo_owner"]}/${modInfo["repo_name"]}`;
+let modSourceData = {
+    sourceName: configFile["metadata"]["name"],
+    mods: {},
+    texturePacks: {}
+}
+
+const releaseCache = loadReleaseCache(RELEASE_CACHE_PATH, { enabled: !options["no-cache"], refresh: options["refresh"] });
+const assetInspector = options["skip-asset-checks"] ? undefined : createAssetInspector(releaseCache);
+// feeds and mirrored art need absolute urls (mods.json is read from anywhere), the site's pages link relatively
+const siteUrl = (configFile["metadata"]["site_url"] ?? DEFAULT_SITE_URL).replace(/\/+$/, "");
+const artMirror = createArtMirror({ siteDir: SITE_DIR, siteUrl: siteUrl, configDir: CONFIG_DIR, fetchRemote: !options["skip-art-checks"] });
+
+// Now we can start generating the actual mod-source file
+// iterate through all listed repos, of every content type, and build up the file
+// with --only, the entries that weren't asked for are carried over from the existing file as-is,
+// and so are the ones that fail to build, one broken repo shouldn't hold back (or drop) every other entry
+const failedModNames = [];
+for (const contentType of contentTypes) {
+    for (const [modName, modInfo] of Object.entries(configFile[contentType.configKey] ?? {})) {
+        if (onlyModNames.length > 0 && !onlyModNames.includes(modName)) {
+            const existingEntry = existingModSourceData?.[contentType.sourceKey]?.[modName];
+            if (existingEntry !== undefined) {
+                modSourceData[contentType.sourceKey][modName] = existingEntry;
             }
+            continue;
         }
-        if (Object.keys(modInfo).includes("thumbnail_art_url")) {
-            modSourceInfo.thumbnailArtUrl = modInfo["thumbnail_art_url"];
-        }
-        // if (Object.keys(modInfo).includes("release_date_override")) {
-        //     modSourceInfo.releaseDates = modInfo["release_date_override"];
-        // }
-        if (Object.keys(modInfo).includes("per_game_config")) {
-            modSourceInfo.perGameConfig = modInfo["per_game_config"];
-        }
-        // lint the per-game-config
-        if (modSourceInfo.thumbnailArtUrl === undefined) {
-            if (!Object.keys(modInfo).includes("per_game_config")) {
-                exitWithError(`${modName} does not define 'thumbnail_art_url' but lacks 'per_game_config'`)
+        try {
+            const entry = await buildSourceEntry(modName, modInfo, contentType, {
+                provider: getProvider(modName, modInfo),
+                releaseCache: releaseCache,
+                assetInspector: assetInspector,
+                assetRules: configFile["asset_matching"]
+            });
+            await artMirror.mirrorEntry(modName, entry);
+            modSourceData[contentType.sourceKey][modName] = entry;
+        } catch (e) {
+            if (command === "inspect") {
+                exitWithError(`${modName}: ${e.message}`, EXIT_UPSTREAM_ERROR);
             }
-            // Check per game config
-            // for (const supportedGame of modSourceInfo.supportedGames) {
-            //     if (!Object.keys(modSourceInfo.perGameConfig).includes(supportedGame) || !Object.keys(modSourceInfo.perGameConfig[supportedGame]).includes("thumbnailArtUrl")) {
-            //         exitWithError(`${modName} does not define 'thumbnail_art_url' and it's missing in 'per_game_config.${supportedGame}'`);
-            //     }
-            // }
-        }
-        // otherwise, we poll github
-        if (!modInfo["repo_owner"] || !modInfo["repo_name"]) {
-            exitWithError(`'repo_owner' or 'repo_name' missing in: ${modName}`);
-        }
-        if (!lintMode) {
-            const modReleases = await octokit.paginate(octokit.rest.repos.listReleases, { owner: modInfo["repo_owner"], repo: modInfo["repo_name"] });
-
-            for (const release of modReleases) {
-                let cleaned_release_tag = release.tag_name;
-                if (cleaned_release_tag.startsWith("v")) {
-                    cleaned_release_tag = cleaned_release_tag.substring(1);
-                }
-                if (!semver.valid(cleaned_release_tag)) {
-                    console.error(`${modName}:${cleaned_release_tag} is not a valid semantic version, skipping`);
-                    continue;
-                }
-                // Check that we shouldn't ignore it
-                if (Object.keys(modInfo).includes("ignore_versions")) {
-                    let skipIt = false;
-                    for (const ignore_version of modInfo["ignore_versions"]) {
-                        if (ignore_version.startsWith("<")) {
-                            let cleaned_ignore_version = ignore_version.substring(1);
-                            if (semver.lt(cleaned_release_tag, cleaned_ignore_version)) {
-                                console.log(`ignoring release - ${modName}:${cleaned_release_tag}`);
-                                skipIt = true;
-                                break;
-                            }
-                        } else if (semver.eq(ignore_version, cleaned_release_tag)) {
-                            console.log(`ignoring release - ${modName}:${ignore_version}`);
-                            skipIt = true;
-                            break;
-                        }
-                    }
-                    if (skipIt) {
-                        continue;
-                    }
-                    // otherwise, we ain't skipping it...yet
-                    let newVersion = {
-                        version: cleaned_release_tag,
-                        publishedDate: release.published_at,
-                        downloadUrl: null,
-                        downloadCount: 0
-                    }
-                    // get the assets
-                    for (const asset of release.assets) {
-                        if (asset.name.toLowerCase() === "assets.zip") {
-                            newVersion.downloadUrl = asset.browser_download_url;
-                            newVersion.downloadCount = asset.download_count;
-                        }
-                    }
-                    // If there are no assets, skip it -- there's nothing to download!
-                    if (newVersion.assets.downloadUrl === null) {
-                        console.log(`ignoring version, no assets.zip found - ${modName}:${cleaned_release_tag}`);
-                        continue;
-                    }
-                    // otherwise, add it to the list
-                    modSourceInfo.versions.push(newVersion);
-                }
+            failedModNames.push(modName);
+            const existingEntry = existingModSourceData?.[contentType.sourceKey]?.[modName];
+            if (existingEntry !== undefined) {
+                modSourceData[contentType.sourceKey][modName] = existingEntry;
+                log.error(`${modName}: ${e.message}, keeping the previously published entry`);
+            } else {
+                log.error(`${modName}: ${e.message}, leaving it out as it was never published`);
             }
         }
-        // add to source json
-        modSourceData.texturePacks[modName] = modSourceInfo;
     }
 }
+// only a real build keeps what it fetched, inspect, diff and --dry-run promise not to write anything
+if (command === "build" && !options["dry-run"]) {
+    releaseCache.save({ prune: onlyModNames.length === 0 });
+}
 
-if (!lintMode) {
-    // Check if the resulting file is different from the existing one (minus lastUpdated)
-    if (fs.existsSync("../../site/mods.json")) {
-        let existingModSourceData = JSON.parse(fs.readFileSync("../../site/mods.json"));
-        delete existingModSourceData["lastUpdated"];
-        // If the content is the same, do not update the file
-        if (JSON.stringify(existingModSourceData) === JSON.stringify(modSourceData)) {
-            console.log("mods.json would be unchanged, not updating the file");
-        } else {
-            // If content differs, update the file with a new lastUpdated timestamp
-            modSourceData.lastUpdated = (new Date()).toISOString();
-            // Save the JSON file with pretty formatting
-            fs.writeFileSync("../../site/mods.json", JSON.stringify(modSourceData, null, 4));
-        }
-    } else {
-        // If the file does not exist, create it with a new lastUpdated timestamp
-        modSourceData.lastUpdated = (new Date()).toISOString();
-        // Save the JSON file with pretty formatting
-        fs.writeFileSync("../../site/mods.json", JSON.stringify(modSourceData, null, 4));
+if (command === "inspect") {
+    const modName = onlyModNames[0];
+    const contentType = contentTypeOf(modName);
+    console.log(JSON.stringify({ [contentType.sourceKey]: { [modName]: modSourceData[contentType.sourceKey][modName] } }, null, 4));
+    exit(EXIT_OK);
+}
+
+// Merge in the other mod sources we aggregate, entries from them are attributed with a `source`.
+// One that can't be read would make all of its mods vanish from the output, so that's fatal
+if (configFile["upstream_sources"] !== undefined) {
+    const failures = [];
+    const upstreamOrigins = await loadUpstreamOrigins(configFile["upstream_sources"], failures);
+    if (failures.length > 0) {
+        exitWithError(failures.map((failure) => failure.message).join("\n"), EXIT_UPSTREAM_ERROR);
+    }
+    const { merged, conflicts } = mergeOrigins([configOrigin(configFile, resolveProvider, modSourceData), ...upstreamOrigins]);
+    for (const conflict of conflicts) {
+        log.warn(conflict.message);
     }
+    Object.assign(modSourceData, merged);
 }
 
+// Make sure we are about to publish something launchers can actually read, in every schema version
+// config problems are caught by lint beforehand, so this is down to what the releases contained
+const outputDiagnostics = schemaVersions.flatMap(({ schemaVersion }) => validateModSourceData(serializeModSource(schemaVersion, modSourceData)).map((diagnostic) => {
+    diagnostic.file = path.basename(modSourcePath(schemaVersion, MOD_SOURCE_PATH));
+    return diagnostic;
+}));
+if (outputDiagnostics.length > 0) {
+    printDiagnostics(outputDiagnostics);
+    exitWithError("generated mod source data is not valid, not updating the file", EXIT_UPSTREAM_ERROR);
+}
+
+// Download counts change on nearly every run, on their own they only go into the download history
+const unchanged = existingModSourceData !== undefined && JSON.stringify(withoutDownloadCounts(existingModSourceData)) === JSON.stringify(withoutDownloadCounts(modSourceData));
+
+if (command === "diff") {
+    const diff = diffModSources(existingModSourceData, modSourceData);
+    if (options["json"]) {
+        console.log(JSON.stringify(diff, null, 4));
+    } else if (!isEmptyDiff(diff)) {
+        console.log(renderChangelogMarkdown(diff));
+    }
+    // whether there are changes is decided exactly like a build does, so the two always agree
+    if (unchanged) {
+        log.info(`no changes to ${path.basename(MOD_SOURCE_PATH)}`);
+        exit(EXIT_NO_CHANGES);
+    }
+    exit(EXIT_OK);
+}
+
+if (options["dry-run"]) {
+    console.log(formatModSource(PRIMARY_SCHEMA_VERSION, modSourceData));
+    exit(unchanged ? EXIT_NO_CHANGES : EXIT_OK);
+}
+
+// Records what changed compared to the published file, for the commit message and any tooling interested in it
+function writeChangelog(existingModSourceData) {
+    const diff = diffModSources(existingModSourceData, modSourceData);
+    const markdown = renderChangelogMarkdown(diff);
+    fs.writeFileSync(CHANGELOG_JSON_PATH, JSON.stringify(diff, null, 4));
+    fs.writeFileSync(CHANGELOG_MARKDOWN_PATH, markdown);
+    log.info(markdown);
+}
+// don't leave a changelog from a previous run lying around for the workflow to pick up
+for (const changelogPath of [CHANGELOG_JSON_PATH, CHANGELOG_MARKDOWN_PATH]) {
+    fs.rmSync(changelogPath, { force: true });
+}
+
+// The mirrored art goes live along with the file pointing at it
+// the art of entries that were carried over wasn't looked at, so it's only pruned after building everything
+artMirror.save({ prune: onlyModNames.length === 0 && failedModNames.length === 0 });
+
+// Counts are recorded whether or not mods.json itself gets updated
+let downloadHistory;
+try {
+    downloadHistory = loadDownloadHistory(DOWNLOAD_HISTORY_PATH);
+} catch (e) {
+    exitWithError(e.message);
+}
+const carriedOverModNames = contentTypes.flatMap((contentType) => Object.keys(configFile[contentType.configKey] ?? {}))
+    .filter((modName) => (onlyModNames.length > 0 && !onlyModNames.includes(modName)) || failedModNames.includes(modName));
+if (downloadHistory.record(modSourceData, { carriedOver: carriedOverModNames }) !== undefined) {
+    log.info(`recorded changed download counts in ${path.basename(DOWNLOAD_HISTORY_PATH)}`);
+}
+
+// If the content is the same (minus lastUpdated and download counts), do not update the file
+let publishedModSourceData = existingModSourceData;
+let lastUpdated = existingLastUpdated;
+if (unchanged) {
+    log.info(`${path.basename(MOD_SOURCE_PATH)} would be unchanged, not updating the file`);
+} else {
+    writeChangelog(existingModSourceData);
+    // If content differs, or the file does not exist yet, write it with a new lastUpdated timestamp
+    publishedModSourceData = modSourceData;
+    lastUpdated = (new Date()).toISOString();
+}
+// Every schema version gets the same content and timestamp, one that's missing or out of date is (re)written
+// even if mods.json itself didn't change, mods.json never is as it round-trips (see `npm run lint`)
+for (const { schemaVersion } of schemaVersions) {
+    const outputPath = modSourcePath(schemaVersion, MOD_SOURCE_PATH);
+    const contents = formatModSource(schemaVersion, publishedModSourceData, lastUpdated);
+    if (!fs.existsSync(outputPath) || fs.readFileSync(outputPath).toString() !== contents) {
+        fs.writeFileSync(outputPath, contents);
+        log.info(`wrote ${path.basename(outputPath)} (schema version ${schemaVersion})`);
+    }
+}
+
+// Release feeds are derived purely from the source data, so they only change when it does
+const writtenFeeds = writeFeeds(modSourceData, SITE_DIR, siteUrl);
+log.info(`wrote release feeds, plus ${writtenFeeds.length} per-game/per-tag feed(s)`);
+
+// Same goes for the static pages of the site
+const writtenPages = writeSite(modSourceData, SITE_DIR, siteUrl);
+log.info(`wrote the mod list, plus ${writtenPages} page(s) for individual entries`);
+
+const stats = writeStats(modSourceData, downloadHistory.snapshots, SITE_DIR);
+log.info(`wrote download statistics, ${stats.total} download(s) in total and ${stats.weekly} this week`);
+
+exit(unchanged ? EXIT_NO_CHANGES : EXIT_OK);
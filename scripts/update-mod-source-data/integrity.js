@@ -0,0 +1,115 @@
+import { createHash } from "crypto";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { listArchiveEntries } from "./archive.js";
+import { log } from "./log.js";
+
+// Downloads release assets once (results are cached per asset, see `cache.js`) to record their size and SHA-256,
+// and to make sure the archive is readable and looks like something the launcher can install.
+//
+// `inspect` resolves to `{ size, sha256, entryCount, problems }`, or `{ error }` if the asset is unusable
+// (is empty, or isn't a readable archive) in which case it should not be published. If it couldn't be downloaded
+// (network trouble, a non-200 response, a cut off download) it resolves to `{ unavailable }` instead, that's
+// probably temporary so the asset is still published, just without a size and hash, and it's retried next run.
+// Assets that aren't a `.zip`, `.tar.gz` or `.tar` can't be looked into, they get an `entryCount` of `null`.
+
+function matchesLayout(entries, pattern) {
+    return entries.some((entry) => pattern.test(entry.replace(/^\.\//, "")));
+}
+
+// Streams the response into `filePath` (assets can be large), resolves to its size and SHA-256
+async function downloadTo(resp, filePath) {
+    const hash = createHash("sha256");
+    let size = 0;
+    await pipeline(resp.body === null ? Readable.from([]) : Readable.fromWeb(resp.body), async function* (chunks) {
+        for await (const chunk of chunks) {
+            hash.update(chunk);
+            size += chunk.length;
+            yield chunk;
+        }
+    }, fs.createWriteStream(filePath));
+    return { size: size, sha256: hash.digest("hex") };
+}
+
+async function inspectDownload(provider, asset, expectedLayout, filePath) {
+    let download;
+    try {
+        const resp = await provider.fetchAsset(asset);
+        if (resp.status !== 200) {
+            return { unavailable: `hit non-200 status code (${resp.status}) when downloading` };
+        }
+        download = await downloadTo(resp, filePath);
+    } catch (e) {
+        return { unavailable: `couldn't download it: ${e.message}` };
+    }
+    if (asset.size !== undefined && asset.size !== download.size) {
+        return { unavailable: `downloaded ${download.size} bytes but the release says it should be ${asset.size}` };
+    }
+    if (download.size === 0) {
+        return { error: "asset is empty" };
+    }
+
+    let entries;
+    try {
+        entries = await listArchiveEntries(asset.name, filePath);
+    } catch (e) {
+        return { error: `not a readable archive: ${e.message}` };
+    }
+    if (entries === undefined) {
+        return { size: download.size, sha256: download.sha256, entryCount: null, problems: [] };
+    }
+    const files = entries.filter((entry) => !entry.endsWith("/"));
+    if (files.length === 0) {
+        return { error: "archive contains no files" };
+    }
+    let problems = [];
+    for (const [description, pattern] of expectedLayout) {
+        if (!matchesLayout(files, pattern)) {
+            problems.push(`missing ${description}`);
+        }
+    }
+    return {
+        size: download.size,
+        sha256: download.sha256,
+        entryCount: files.length,
+        problems: problems
+    };
+}
+
+async function inspectAsset(provider, asset, expectedLayout) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "mod-asset-"));
+    try {
+        return await inspectDownload(provider, asset, expectedLayout, path.join(tempDir, "asset"));
+    } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+export function createAssetInspector(releaseCache) {
+    return {
+        async inspect(modName, version, provider, asset, expectedLayout) {
+            let info = releaseCache?.getAssetInfo(modName, asset);
+            const fresh = info === undefined;
+            if (fresh) {
+                info = await inspectAsset(provider, asset, expectedLayout);
+                if (info.unavailable !== undefined) {
+                    log.warn(`couldn't check asset, publishing it without a size and hash for now, ${info.unavailable} - ${modName}:${version}:${asset.name}`);
+                    return info;
+                }
+                releaseCache?.setAssetInfo(asset, info);
+            }
+            // only complain about layout problems the first time, they're recorded in the cache
+            if (info.error !== undefined) {
+                log.error(`not publishing asset, ${info.error} - ${modName}:${version}:${asset.name}`);
+            } else if (fresh && info.entryCount === null) {
+                log.warn(`can only look inside .zip, .tar.gz and .tar assets, publishing it with just its size and hash - ${modName}:${version}:${asset.name}`);
+            } else if (fresh && info.problems.length > 0) {
+                log.warn(`asset doesn't look like an OpenGOAL release (${info.problems.join(", ")}) - ${modName}:${version}:${asset.name}`);
+            }
+            return info;
+        }
+    };
+}
@@ -0,0 +1,481 @@
+import Ajv from "ajv";
+import YAML, { LineCounter, isMap, isSeq } from "yaml";
+import * as fs from "fs";
+import { dirname, relative, resolve } from "path";
+import semver from "semver";
+import { contentTypes } from "./content-types.js";
+import { PROVIDER_TYPES } from "./providers/index.js";
+import { compileAssetRule, matchAssets } from "./asset-matching.js";
+import { assetKey, repoCacheKey } from "./cache.js";
+import { compatibilityProblems, referencesOf, settingsProblems, unknownReferences } from "./compatibility.js";
+import { formatModSource, readModSource, schemaVersions } from "./schema-versions.js";
+import { log } from "./log.js";
+
+const configSchema = JSON.parse(fs.readFileSync(new URL("./schemas/config.schema.json", import.meta.url)));
+
+const ajv = new Ajv({ allErrors: true });
+const validateConfig = ajv.compile(configSchema);
+// every schema version we publish, by `schemaVersion` (see `schema-versions.js`)
+const modSourceValidators = Object.fromEntries(schemaVersions.map(({ schemaVersion, schema }) => [schemaVersion, ajv.compile(schema)]));
+
+function unknownSchemaVersion(data) {
+    return `'schemaVersion' is '${data?.["schemaVersion"]}', only ${Object.keys(modSourceValidators).map((version) => `'${version}'`).join(", ")} are known`;
+}
+
+// Parses a YAML (or JSON, which is valid YAML) file while keeping track of where each node came from,
+// so diagnostics can point at a line and column instead of just a key path.
+export function parseSourceFile(fileName, contents) {
+    const lineCounter = new LineCounter();
+    const doc = YAML.parseDocument(contents, { lineCounter: lineCounter, prettyErrors: false });
+    const diagnostics = [];
+    for (const error of doc.errors) {
+        diagnostics.push(makeDiagnostic("error", "yaml-syntax", error.message.split("\n")[0], { file: fileName, ...toPosition(lineCounter, error.pos[0]) }));
+    }
+    for (const warning of doc.warnings) {
+        diagnostics.push(makeDiagnostic("warning", "yaml-syntax", warning.message.split("\n")[0], { file: fileName, ...toPosition(lineCounter, warning.pos[0]) }));
+    }
+    return {
+        fileName: fileName,
+        doc: doc,
+        lineCounter: lineCounter,
+        data: doc.errors.length === 0 ? doc.toJS() : undefined,
+        diagnostics: diagnostics
+    };
+}
+
+function toPosition(lineCounter, offset) {
+    const pos = lineCounter.linePos(offset);
+    return { line: pos.line, column: pos.col };
+}
+
+function makeDiagnostic(severity, rule, message, { file, line, column, modKey } = {}) {
+    return {
+        severity: severity,
+        rule: rule,
+        message: message,
+        file: file,
+        line: line,
+        column: column,
+        modKey: modKey
+    };
+}
+
+// Finds the closest node in the document for a path, optionally pointing at a key within the last map
+function locate(source, path, key) {
+    let node = source.doc.contents;
+    let lastFound = node;
+    for (const segment of path) {
+        if (isMap(node)) {
+            const pair = node.items.find((item) => item.key?.value === segment);
+            node = pair?.value;
+        } else if (isSeq(node)) {
+            node = node.items[Number(segment)];
+        } else {
+            node = undefined;
+        }
+        if (!node) {
+            break;
+        }
+        lastFound = node;
+    }
+    if (key !== undefined && isMap(lastFound)) {
+        const pair = lastFound.items.find((item) => item.key?.value === key);
+        if (pair?.key?.range) {
+            return toPosition(source.lineCounter, pair.key.range[0]);
+        }
+    }
+    if (lastFound?.range) {
+        return toPosition(source.lineCounter, lastFound.range[0]);
+    }
+    return { line: 1, column: 1 };
+}
+
+function modKeyForPath(path) {
+    if (path.length >= 2 && contentTypes.some((contentType) => contentType.configKey === path[0])) {
+        return path[1];
+    }
+    return undefined;
+}
+
+function pointerToPath(pointer) {
+    if (pointer === "") {
+        return [];
+    }
+    return pointer.substring(1).split("/").map((segment) => segment.replaceAll("~1", "/").replaceAll("~0", "~"));
+}
+
+function schemaErrorsToDiagnostics(source, errors) {
+    let diagnostics = [];
+    for (const error of errors ?? []) {
+        // `if`/`then` and `propertyNames` failures are always accompanied by the more useful error that caused them
+        if (error.keyword === "if" || error.keyword === "propertyNames") {
+            continue;
+        }
+        const path = pointerToPath(error.instancePath);
+        const where = path.length > 0 ? `'${path.join(".")}'` : "document";
+        let message = `${where} ${error.message}`;
+        let key = undefined;
+        if (error.propertyName !== undefined) {
+            key = error.propertyName;
+            message = `invalid key '${key}' in ${where}, ${error.keyword === "enum" ? `must be one of: ${error.params.allowedValues.join(", ")}` : error.message}`;
+        } else if (error.keyword === "additionalProperties") {
+            key = error.params.additionalProperty;
+            message = `unknown key '${key}' in ${where}`;
+        } else if (error.keyword === "required") {
+            message = `${where} is missing '${error.params.missingProperty}'`;
+        } else if (error.keyword === "enum") {
+            message = `${where} must be one of: ${error.params.allowedValues.join(", ")}`;
+        }
+        diagnostics.push(makeDiagnostic("error", `schema-${error.keyword}`, message, {
+            file: source.fileName,
+            modKey: modKeyForPath(path),
+            ...locate(source, path, key)
+        }));
+    }
+    return diagnostics;
+}
+
+// Checks that can't be expressed (nicely) in the JSON schema
+function lintEntries(source, config, contentType) {
+    const section = contentType.configKey;
+    let diagnostics = [];
+    const providers = config["providers"] ?? {};
+    for (const [modName, modInfo] of Object.entries(config[section] ?? {})) {
+        if (!modInfo || typeof modInfo !== "object") {
+            continue;
+        }
+        const report = (severity, rule, message, path, key) => {
+            diagnostics.push(makeDiagnostic(severity, rule, message, {
+                file: source.fileName,
+                modKey: modName,
+                ...locate(source, [section, modName, ...path], key)
+            }));
+        };
+
+        if (modInfo["provider"] !== undefined && !Object.keys(providers).includes(modInfo["provider"]) && !PROVIDER_TYPES.includes(modInfo["provider"])) {
+            report("error", "unknown-provider", `${modName} uses unknown provider '${modInfo["provider"]}'`, ["provider"]);
+        }
+        if (modInfo["provider"] === "gitea") {
+            report("error", "unknown-provider", `${modName} uses the 'gitea' provider directly, it needs an entry in 'providers' with a 'url'`, ["provider"]);
+        }
+
+        for (const [idx, ignoreRange] of (modInfo["ignore_versions"] ?? []).entries()) {
+            if (typeof ignoreRange === "string" && semver.validRange(ignoreRange) === null) {
+                report("error", "invalid-version", `ignore_versions entry '${ignoreRange}' is not a valid semantic version range`, ["ignore_versions", idx]);
+            }
+        }
+        for (const yankedVersion of Object.keys(modInfo["yanked"] ?? {})) {
+            if (!semver.valid(yankedVersion)) {
+                report("error", "invalid-version", `yanked version '${yankedVersion}' is not a valid semantic version`, ["yanked"], yankedVersion);
+                continue;
+            }
+            const ignoredBy = (modInfo["ignore_versions"] ?? []).find((ignoreRange) => semver.validRange(ignoreRange) !== null && semver.satisfies(yankedVersion, ignoreRange, { includePrerelease: true }));
+            if (ignoredBy !== undefined) {
+                report("warning", "redundant-yank", `yanked version '${yankedVersion}' is never published anyway, it matches ignore_versions entry '${ignoredBy}'`, ["yanked"], yankedVersion);
+            }
+        }
+
+        const releaseDateOverrides = [[["release_date_override"], modInfo["release_date_override"]]];
+        for (const [game, perGameConfig] of Object.entries(modInfo["per_game_config"] ?? {})) {
+            releaseDateOverrides.push([["per_game_config", game, "release_date_override"], perGameConfig?.["release_date_override"]]);
+        }
+        for (const [path, releaseDate] of releaseDateOverrides) {
+            if (typeof releaseDate === "string" && isNaN(Date.parse(releaseDate))) {
+                report("error", "invalid-date", `'${path.join(".")}' is not a valid date: ${releaseDate}`, path);
+            }
+        }
+
+        diagnostics = diagnostics.concat(lintAssetRules(source, modInfo["asset_matching"], [section, modName, "asset_matching"], modName));
+
+        for (const urlKey of ["website_url", "cover_art_url", "thumbnail_art_url"]) {
+            if (typeof modInfo[urlKey] === "string" && modInfo[urlKey].startsWith("http://")) {
+                report("warning", "insecure-url", `'${urlKey}' is not served over https`, [urlKey]);
+            }
+        }
+
+        // art that isn't a url is a file relative to the config, it gets mirrored into the site (see `art.js`)
+        let artFiles = contentType.artKeys.map(([artKey]) => [[artKey], modInfo[artKey]]);
+        for (const [game, perGameConfig] of Object.entries(modInfo["per_game_config"] ?? {})) {
+            artFiles.push(...contentType.artKeys.map(([artKey]) => [["per_game_config", game, artKey], perGameConfig?.[artKey]]));
+        }
+        for (const [path, art] of artFiles) {
+            if (typeof art === "string" && !/^https?:\/\//i.test(art) && !fs.existsSync(resolve(dirname(source.fileName), art))) {
+                report("error", "missing-art-file", `'${path.join(".")}' is neither a url nor an existing file: ${art}`, path);
+            }
+        }
+
+        // verify art for all games we know about (could be shared across all games, or specified per-game)
+        // external mods aren't shown with art by the launcher, so they are exempt
+        if (contentType.allowExternalLink && modInfo["external_link"] !== undefined) {
+            continue;
+        }
+        const knownGames = new Set([...(modInfo["supported_games"] ?? []), ...Object.keys(modInfo["per_game_config"] ?? {})]);
+        for (const [artKey] of contentType.artKeys) {
+            if (modInfo[artKey] !== undefined) {
+                continue;
+            }
+            if (modInfo["per_game_config"] === undefined) {
+                report("error", "missing-art", `${modName} does not define '${artKey}' but lacks 'per_game_config'`, [], artKey);
+                continue;
+            }
+            for (const game of knownGames) {
+                if (modInfo["per_game_config"][game]?.[artKey] === undefined) {
+                    report("error", "missing-art", `${modName} does not define '${artKey}' and it's missing in 'per_game_config.${game}'`, ["per_game_config", game]);
+                }
+            }
+        }
+    }
+    return diagnostics;
+}
+
+function lintAssetRules(source, rules, path, modKey) {
+    let diagnostics = [];
+    for (const [idx, rule] of (Array.isArray(rules) ? rules : []).entries()) {
+        if (typeof rule?.["regex"] !== "string") {
+            continue;
+        }
+        try {
+            compileAssetRule(rule);
+        } catch (e) {
+            diagnostics.push(makeDiagnostic("error", "invalid-asset-rule", `asset_matching rule has an invalid regex: ${e.message}`, {
+                file: source.fileName,
+                modKey: modKey,
+                ...locate(source, [...path, idx], "regex")
+            }));
+        }
+    }
+    return diagnostics;
+}
+
+// Checks the asset rules and the `metadata.json` files against the releases seen in the last run (see `cache.js`),
+// without hitting the network. `cachedReleases` is keyed by `repoCacheKey` and `cachedMetadata` by `assetKey`, entries
+// that were never fetched are skipped. Compatibility can refer to any of `knownKeys`, by default the entries in the config.
+// Only run it on a config without errors.
+export function lintCachedReleases(source, cachedReleases, cachedMetadata = {}, knownKeys = undefined) {
+    let diagnostics = [];
+    const config = source.data;
+    knownKeys ??= contentTypes.flatMap((contentType) => Object.keys(config[contentType.configKey] ?? {}));
+    for (const contentType of contentTypes) {
+        for (const [modName, modInfo] of Object.entries(config[contentType.configKey] ?? {})) {
+            const releases = cachedReleases[repoCacheKey(modInfo)];
+            if (releases === undefined) {
+                continue;
+            }
+            const assetRules = contentType.assetRules(modInfo, config["asset_matching"]);
+            const report = (severity, rule, message, key) => {
+                diagnostics.push(makeDiagnostic(severity, rule, message, {
+                    file: source.fileName,
+                    modKey: modName,
+                    ...locate(source, [contentType.configKey, modName], key)
+                }));
+            };
+            for (const release of releases) {
+                const version = release.tag_name.replace(/^v/, "");
+                const ignored = !semver.valid(version) || (modInfo["ignore_versions"] ?? []).some((ignoreRange) => semver.satisfies(version, ignoreRange, { includePrerelease: true }));
+                if (ignored) {
+                    continue;
+                }
+                const metadataFileAsset = release.assets.find((asset) => asset.name.toLowerCase() === "metadata.json");
+                if (contentType.warnUnmatchedAssets) {
+                    const rulesKey = modInfo["asset_matching"] !== undefined ? "asset_matching" : undefined;
+                    const { unmatched, ambiguous } = matchAssets(assetRules, release.assets.filter((asset) => asset !== metadataFileAsset));
+                    for (const asset of unmatched) {
+                        report("warning", "unmatched-asset", `${release.tag_name}: asset '${asset.name}' matches no asset rule`, rulesKey);
+                    }
+                    for (const { slot, asset, winner } of ambiguous) {
+                        report("warning", "ambiguous-asset", `${release.tag_name}: asset '${asset.name}' is ambiguous, '${winner.name}' already matched the '${slot}' slot`, rulesKey);
+                    }
+                }
+
+                const metadata = metadataFileAsset !== undefined ? cachedMetadata[assetKey(metadataFileAsset)] : undefined;
+                if (metadata === undefined || metadata === null || typeof metadata !== "object") {
+                    continue;
+                }
+                const supportedGames = Array.isArray(metadata.supportedGames) ? metadata.supportedGames : [];
+                const metadataProblems = [
+                    ["invalid-compatibility", "compatibility", compatibilityProblems(metadata.compatibility, supportedGames)],
+                    ["invalid-settings", "settings", settingsProblems(metadata.settings, supportedGames)]
+                ];
+                for (const [rule, field, fieldProblems] of metadataProblems) {
+                    for (const [path, message] of fieldProblems) {
+                        report("error", rule, `${release.tag_name}: metadata.json '${[field, ...path].join(".")}' ${message}`);
+                    }
+                }
+                for (const [field, reference] of referencesOf(metadata.compatibility)) {
+                    if (!knownKeys.includes(reference)) {
+                        report("error", "unknown-reference", `${release.tag_name}: metadata.json 'compatibility.${field}' refers to '${reference}', which isn't listed`);
+                    }
+                }
+            }
+        }
+    }
+    return diagnostics;
+}
+
+export function lintConfig(source) {
+    if (source.data === undefined) {
+        return source.diagnostics;
+    }
+    let diagnostics = [...source.diagnostics];
+    if (!validateConfig(source.data)) {
+        diagnostics = diagnostics.concat(schemaErrorsToDiagnostics(source, validateConfig.errors));
+    }
+    if (source.data && typeof source.data === "object") {
+        diagnostics = diagnostics.concat(lintAssetRules(source, source.data["asset_matching"], ["asset_matching"]));
+        for (const contentType of contentTypes) {
+            diagnostics = diagnostics.concat(lintEntries(source, source.data, contentType));
+        }
+    }
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// Reports `upstream_sources` that couldn't be loaded (`failures` as `{ index, message }`) and the conflicts that were
+// resolved merging them with our own entries (see `mergeOrigins` in `upstream.js`)
+export function lintUpstreamSources(source, failures, conflicts) {
+    let diagnostics = [];
+    for (const failure of failures) {
+        diagnostics.push(makeDiagnostic("error", "upstream-unavailable", failure.message, {
+            file: source.fileName,
+            ...locate(source, ["upstream_sources", failure.index])
+        }));
+    }
+    for (const conflict of conflicts) {
+        // point at our own entry when it's involved, otherwise at the upstream source that lost out
+        const ownSide = [conflict.kept, conflict.dropped].find((side) => side.origin.own);
+        const contentType = contentTypes.find((contentType) => contentType.sourceKey === conflict.sourceKey);
+        const path = ownSide !== undefined ? [contentType.configKey, ownSide.key] : ["upstream_sources", conflict.dropped.origin.index];
+        diagnostics.push(makeDiagnostic("warning", conflict.rule, conflict.message, {
+            file: source.fileName,
+            modKey: ownSide?.key ?? conflict.dropped.key,
+            ...locate(source, path)
+        }));
+    }
+    return diagnostics;
+}
+
+// What the schema can't check about mod source data that matches it: the versions' compatibility and
+// decomp config override, and references to other entries (see `compatibility.js`), as `{ rule, message, path, modKey }`
+function modSourceProblems(modSourceData) {
+    let problems = [];
+    for (const contentType of contentTypes) {
+        for (const [key, entry] of Object.entries(modSourceData[contentType.sourceKey])) {
+            for (const [idx, version] of entry.versions.entries()) {
+                const versionPath = [contentType.sourceKey, key, "versions", idx];
+                const versionProblems = [
+                    ["invalid-compatibility", "compatibility", compatibilityProblems(version.compatibility, version.supportedGames)],
+                    ["invalid-settings", "settings", settingsProblems(version.settings, version.supportedGames)]
+                ];
+                for (const [rule, field, fieldProblems] of versionProblems) {
+                    for (const [path, message] of fieldProblems) {
+                        problems.push({ rule: rule, message: `${version.version}: '${[field, ...path].join(".")}' ${message}`, path: [...versionPath, field, ...path], modKey: key });
+                    }
+                }
+            }
+        }
+    }
+    for (const reference of unknownReferences(modSourceData)) {
+        problems.push({
+            rule: "unknown-reference",
+            message: `${reference.version}: '${reference.field}' refers to '${reference.reference}', which isn't listed`,
+            path: [reference.sourceKey, reference.key, "versions", reference.index, "compatibility", reference.field],
+            modKey: reference.key
+        });
+    }
+    return problems;
+}
+
+// Validates an existing mods.json (or mods.v2.json, ...) file against the schema of its version
+export function lintModSourceFile(source) {
+    if (source.data === undefined) {
+        return source.diagnostics;
+    }
+    const validateModSource = modSourceValidators[source.data?.["schemaVersion"]];
+    if (validateModSource === undefined) {
+        return source.diagnostics.concat([makeDiagnostic("error", "unknown-schema-version", unknownSchemaVersion(source.data), { file: source.fileName, ...locate(source, [], "schemaVersion") })]);
+    }
+    if (validateModSource(source.data)) {
+        return source.diagnostics.concat(modSourceProblems(source.data).map((problem) => makeDiagnostic("error", problem.rule, problem.message, {
+            file: source.fileName,
+            modKey: problem.modKey,
+            ...locate(source, problem.path)
+        })));
+    }
+    return source.diagnostics.concat(schemaErrorsToDiagnostics(source, validateModSource.errors).map((diagnostic) => {
+        diagnostic.modKey = undefined;
+        return diagnostic;
+    }));
+}
+
+// Validates freshly generated (or downloaded) mod source data against the schema of its version, there's no file to point at
+export function validateModSourceData(modSourceData) {
+    const data = JSON.parse(JSON.stringify(modSourceData));
+    const validateModSource = modSourceValidators[data?.["schemaVersion"]];
+    if (validateModSource === undefined) {
+        return [makeDiagnostic("error", "unknown-schema-version", unknownSchemaVersion(data))];
+    }
+    if (validateModSource(data)) {
+        return modSourceProblems(data).map((problem) => makeDiagnostic("error", problem.rule, problem.message, { modKey: problem.modKey }));
+    }
+    return validateModSource.errors.map((error) => makeDiagnostic("error", `schema-${error.keyword}`, `'${pointerToPath(error.instancePath).join(".")}' ${error.message}`));
+}
+
+// Checks the published files against what the generator makes of them: the primary one has to come out of
+// `readModSource` and back byte for byte the same, otherwise the next build would change it for launchers even though
+// nothing changed, and every other schema version has to be what the same data serializes to.
+// `outputs` are `{ schemaVersion, source, contents }`, the primary schema version first
+export function lintSerialization(outputs) {
+    const [primary, ...others] = outputs;
+    const validatePrimary = modSourceValidators[primary.schemaVersion];
+    if (primary.source.data === undefined || !validatePrimary(JSON.parse(JSON.stringify(primary.source.data)))) {
+        // already reported by `lintModSourceFile`
+        return [];
+    }
+    const { model, lastUpdated } = readModSource(primary.source.data);
+    let diagnostics = [];
+    if (formatModSource(primary.schemaVersion, model, lastUpdated) !== primary.contents) {
+        diagnostics.push(makeDiagnostic("error", "unstable-serialization", `doesn't round-trip byte for byte, a build would change it even for unchanged input`, { file: primary.source.fileName, line: 1, column: 1 }));
+    }
+    for (const output of others) {
+        if (output.source.data !== undefined && formatModSource(output.schemaVersion, model, lastUpdated) !== output.contents) {
+            diagnostics.push(makeDiagnostic("warning", "stale-schema-version", `isn't what ${primary.source.fileName} serializes to in schema version ${output.schemaVersion}, a build will regenerate it`, { file: output.source.fileName, line: 1, column: 1 }));
+        }
+    }
+    return diagnostics;
+}
+
+export function formatDiagnostic(diagnostic) {
+    let location = diagnostic.file ?? "<generated>";
+    if (diagnostic.line !== undefined) {
+        location += `:${diagnostic.line}:${diagnostic.column}`;
+    }
+    const modKey = diagnostic.modKey ? ` [${diagnostic.modKey}]` : "";
+    return `${location} ${diagnostic.severity}${modKey} ${diagnostic.message} (${diagnostic.rule})`;
+}
+
+export function printDiagnostics(diagnostics) {
+    for (const diagnostic of diagnostics) {
+        if (diagnostic.severity === "error") {
+            console.error(formatDiagnostic(diagnostic));
+        } else {
+            console.warn(formatDiagnostic(diagnostic));
+        }
+        // surface them as inline annotations on the PR when running in github actions
+        if (process.env.GITHUB_ACTIONS === "true" && diagnostic.file !== undefined) {
+            const command = diagnostic.severity === "error" ? "error" : "warning";
+            const file = relative(process.env.GITHUB_WORKSPACE ?? process.cwd(), resolve(diagnostic.file));
+            log.command(`::${command} file=${file},line=${diagnostic.line ?? 1},col=${diagnostic.column ?? 1}::${diagnostic.message}`);
+        }
+    }
+}
+
+export function writeLintReport(reportPath, diagnostics) {
+    const report = {
+        tool: "update-mod-source-data",
+        summary: {
+            errors: diagnostics.filter((diagnostic) => diagnostic.severity === "error").length,
+            warnings: diagnostics.filter((diagnostic) => diagnostic.severity === "warning").length
+        },
+        diagnostics: diagnostics
+    };
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 4));
+}
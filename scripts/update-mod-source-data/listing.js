@@ -0,0 +1,12 @@
+// Which entries and games the site's pages (see `site.js`), the release feeds (see `feeds.js`) and the download
+// statistics (see `stats.js`) list, so none of them shows something the others leave out. Every entry is in mods.json
+// regardless, this is only about what gets put in front of people.
+
+const UNLISTED_TAGS = ["hidden", "external"];
+// the main games, listed even when nothing supports them (yet), so there's always a stable place to link to
+export const ALWAYS_LISTED_GAMES = ["jak1", "jak2", "jak3"];
+
+// Entries that only link to another website, or are tagged to be left out, aren't listed
+export function isListed(entry) {
+    return !entry.externalLink && !entry.tags.some((tag) => UNLISTED_TAGS.includes(tag));
+}
@@ -0,0 +1,52 @@
+// Small logging facade so the CLI can control how chatty the generator is
+//
+// - `quiet` only lets warnings and errors through
+// - `verbose` additionally prints debug messages
+// - when stdout carries the command's actual output (--dry-run, diff, inspect), informational
+//   messages are moved to stderr so the output stays machine readable
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+let minimumLevel = LEVELS.indexOf("info");
+let stdoutReserved = false;
+
+export function setLogLevel(level) {
+    if (!LEVELS.includes(level)) {
+        throw new Error(`unknown log level '${level}'`);
+    }
+    minimumLevel = LEVELS.indexOf(level);
+}
+
+export function reserveStdout() {
+    stdoutReserved = true;
+}
+
+function enabled(level) {
+    return LEVELS.indexOf(level) >= minimumLevel;
+}
+
+export const log = {
+    debug(message) {
+        if (enabled("debug")) {
+            (stdoutReserved ? console.error : console.log)(message);
+        }
+    },
+    info(message) {
+        if (enabled("info")) {
+            (stdoutReserved ? console.error : console.log)(message);
+        }
+    },
+    warn(message) {
+        if (enabled("warn")) {
+            console.warn(message);
+        }
+    },
+    error(message) {
+        console.error(message);
+    },
+    // GitHub Actions workflow commands (`::warning file=...::`), whatever the log level. The runner picks them up
+    // from stderr just the same, so they go there when stdout is reserved
+    command(message) {
+        (stdoutReserved ? console.error : console.log)(message);
+    }
+};
@@ -0,0 +1,31 @@
+// Escaping and slugs shared by everything that turns mod source data into documents, the site's pages (see `site.js`),
+// the release feeds (see `feeds.js`), the health report (see `health.js`) and the changelog (see `changelog.js`). Names, tags and the like are free-form text from config.yaml and upstream
+// sources, so none of it goes into a document unescaped.
+
+function escapeMarkup(text, apostrophe) {
+    return String(text)
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll("\"", "&quot;")
+        .replaceAll("'", apostrophe);
+}
+
+export function escapeHtml(text) {
+    return escapeMarkup(text, "&#39;");
+}
+
+export function escapeXml(text) {
+    return escapeMarkup(text, "&apos;");
+}
+
+// For a GitHub Markdown table cell: no formatting, links or HTML, and nothing that ends the cell or the row.
+// The Markdown goes first, the backslashes it adds mustn't end up in the middle of an HTML entity
+export function escapeMarkdownCell(text) {
+    return escapeHtml(String(text).replace(/[\\`*_{}[\]()#+\-!~|]/g, "\\$&").replace(/\r?\n/g, " "));
+}
+
+// Lowercase ASCII letters, digits and dashes, empty if nothing of the text is left
+export function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
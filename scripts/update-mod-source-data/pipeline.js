@@ -0,0 +1,256 @@
+import semver from "semver";
+import { repoCacheKey } from "./cache.js";
+import { matchAssets } from "./asset-matching.js";
+import { log } from "./log.js";
+import { compatibilityProblems, settingsProblems } from "./compatibility.js";
+
+// The release ingestion shared by every content type (see `content-types.js`)
+//
+// For each release:
+// - check that it's a valid semantic version and that we shouldn't ignore it
+// - let the content type pick out the assets it cares about
+// - if the assets have a `metadata.json` file, we download and inspect it for a handful of settings and the version's compatibility (see `compatibility.js`)
+
+// `ignore_versions` entries are semver ranges, an exact version or the old `<x.y.z` syntax are just simple ranges
+function shouldIgnoreVersion(modName, modInfo, version) {
+    for (const ignoreRange of modInfo["ignore_versions"] ?? []) {
+        if (semver.satisfies(version, ignoreRange, { includePrerelease: true })) {
+            log.info(`ignoring release - ${modName}:${version} (matches '${ignoreRange}')`);
+            return true;
+        }
+    }
+    return false;
+}
+
+// Pre-releases, by tag or by the provider's flag, are betas, as is everything of an entry marked `channel: beta`
+function releaseChannel(modInfo, version, release) {
+    if (modInfo["channel"] === "beta" || semver.prerelease(version) !== null || release.prerelease) {
+        return "beta";
+    }
+    return "stable";
+}
+
+function yankedInfo(modInfo, version) {
+    for (const [yankedVersion, reason] of Object.entries(modInfo["yanked"] ?? {})) {
+        if (semver.eq(yankedVersion, version)) {
+            return { reason: reason };
+        }
+    }
+    return null;
+}
+
+async function fetchMetadata(modName, version, provider, releaseCache, metadataFileAsset) {
+    const cachedMetadata = releaseCache?.getMetadata(modName, metadataFileAsset);
+    if (cachedMetadata !== undefined) {
+        return cachedMetadata;
+    }
+    const metadataResp = await provider.fetchAsset(metadataFileAsset);
+    if (metadataResp.status !== 200) {
+        throw new Error(`Hit non-200 status code when fetching metadata file for release version ${modName}:${version}`);
+    }
+    let metadata;
+    try {
+        metadata = JSON.parse(await metadataResp.text());
+    } catch (e) {
+        throw new Error(`Bad metadata.json, not valid JSON: ${e} -- ${modName}:${version}`);
+    }
+    releaseCache?.setMetadata(metadataFileAsset, metadata);
+    return metadata;
+}
+
+function updateReleaseDates(modInfo, sourceInfo, newVersion) {
+    // now we know what games are supported, we can check if we need to update per-game release date info
+    for (const supportedGame of newVersion.supportedGames) {
+        if (!Object.keys(sourceInfo.perGameConfig).includes(supportedGame)) {
+            sourceInfo.perGameConfig[supportedGame] = {};
+        }
+
+        if (Object.keys(modInfo).includes("release_date_override")) {
+            // top-level release date override
+            sourceInfo.perGameConfig[supportedGame].releaseDate = modInfo["release_date_override"];
+        } else if (modInfo["per_game_config"]?.[supportedGame]?.["release_date_override"] !== undefined) {
+            // per-game release date override
+            sourceInfo.perGameConfig[supportedGame].releaseDate = modInfo["per_game_config"][supportedGame]["release_date_override"];
+        } else {
+            // no override -> check if this is the first release we've seem for this game, or earlier than other releases;
+            if (!Object.keys(sourceInfo.perGameConfig[supportedGame]).includes("releaseDate") || Date.parse(sourceInfo.perGameConfig[supportedGame].releaseDate) > Date.parse(newVersion.publishedDate)) {
+                sourceInfo.perGameConfig[supportedGame].releaseDate = newVersion.publishedDate;
+            }
+        }
+    }
+}
+
+function verifyArt(modName, modInfo, contentType, sourceInfo, supportedGames) {
+    // verify art for all supported games (could be shared across all games, or specified per-game)
+    for (const [artKey, sourceArtKey] of contentType.artKeys) {
+        if (sourceInfo[sourceArtKey] !== undefined) {
+            continue;
+        }
+        if (!Object.keys(modInfo).includes("per_game_config")) {
+            throw new Error(`${modName} does not define '${artKey}' but lacks 'per_game_config'`);
+        }
+        for (const supportedGame of supportedGames) {
+            if (!Object.keys(sourceInfo.perGameConfig).includes(supportedGame) || !Object.keys(sourceInfo.perGameConfig[supportedGame]).includes(sourceArtKey)) {
+                throw new Error(`${modName} does not define '${artKey}' and it's missing in 'per_game_config.${supportedGame}'`);
+            }
+        }
+    }
+}
+
+async function ingestRelease(modName, modInfo, contentType, { provider, releaseCache, assetInspector }, assetRules, sourceInfo, release) {
+    let cleanedReleaseTag = release.tag_name;
+    if (cleanedReleaseTag.startsWith("v")) {
+        cleanedReleaseTag = cleanedReleaseTag.substring(1);
+    }
+    log.debug(`processing release ${release.tag_name} - ${modName}`);
+    if (!semver.valid(cleanedReleaseTag)) {
+        log.error(`${modName}:${cleanedReleaseTag} is not a valid semantic version, skipping`);
+        return;
+    }
+    if (shouldIgnoreVersion(modName, modInfo, cleanedReleaseTag)) {
+        return;
+    }
+
+    // otherwise, we ain't skipping it...yet
+    let newVersion = contentType.createVersion(cleanedReleaseTag, release);
+    newVersion.channel = releaseChannel(modInfo, cleanedReleaseTag, release);
+    // pulled versions stay listed, so launchers that have them installed can tell the user why
+    newVersion.yanked = yankedInfo(modInfo, cleanedReleaseTag);
+    const metadataFileAsset = release.assets.find((asset) => asset.name.toLowerCase() === "metadata.json") ?? null;
+    const { matched, unmatched, ambiguous } = matchAssets(assetRules, release.assets.filter((asset) => asset !== metadataFileAsset));
+    let claimedAssets = {};
+    for (const [slot, { rule, asset }] of Object.entries(matched)) {
+        contentType.addAsset(newVersion, slot, rule, asset);
+        claimedAssets[slot] = asset;
+    }
+    for (const { slot, asset, winner } of ambiguous) {
+        log.warn(`ignoring asset, '${winner.name}' already matched the '${slot}' slot - ${modName}:${cleanedReleaseTag}:${asset.name}`);
+    }
+    if (contentType.warnUnmatchedAssets) {
+        for (const asset of unmatched) {
+            log.warn(`ignoring asset, it matches no asset rule - ${modName}:${cleanedReleaseTag}:${asset.name}`);
+        }
+    }
+
+    if (metadataFileAsset !== null) {
+        const metadata = await fetchMetadata(modName, cleanedReleaseTag, provider, releaseCache, metadataFileAsset);
+        contentType.applyMetadata(newVersion, metadata);
+        if (!Object.keys(metadata).includes("supportedGames")) {
+            throw new Error(`metadata.json, for version: ${modName}:${cleanedReleaseTag} does not include 'supportedGames'`);
+        }
+        newVersion.supportedGames = metadata.supportedGames;
+        // references to other entries can only be checked once everything is built, see `validateModSourceData`
+        // the rest only makes this version unusable, not the entry's other (possibly long published) ones
+        const supportedGames = Array.isArray(newVersion.supportedGames) ? newVersion.supportedGames : [];
+        const problems = [
+            ...compatibilityProblems(metadata.compatibility, supportedGames).map(([path, message]) => [["compatibility", ...path], message]),
+            ...settingsProblems(newVersion.settings, supportedGames).map(([path, message]) => [["settings", ...path], message])
+        ];
+        if (problems.length > 0) {
+            log.error(`bad metadata.json, ${problems.map(([path, message]) => `'${path.join(".")}' ${message}`).join(", ")}, skipping - ${modName}:${cleanedReleaseTag}`);
+            return;
+        }
+        if (metadata.compatibility !== undefined) {
+            newVersion.compatibility = metadata.compatibility;
+        }
+    } else if (contentType.requireMetadata) {
+        throw new Error(`Could not find 'metadata.json' asset in ${modName}:${cleanedReleaseTag}`);
+    } else if (Object.keys(modInfo).includes("supported_games")) {
+        newVersion.supportedGames = modInfo["supported_games"];
+    } else {
+        throw new Error(`Could not find 'metadata.json' asset in ${modName}:${cleanedReleaseTag} and it does not define 'supported_games' to fall back on`);
+    }
+
+    // temporary for backwards compatibility
+    for (const supportedGame of newVersion.supportedGames) {
+        if (!sourceInfo.supportedGames.includes(supportedGame)) {
+            sourceInfo.supportedGames.push(supportedGame);
+        }
+    }
+    updateReleaseDates(modInfo, sourceInfo, newVersion);
+    verifyArt(modName, modInfo, contentType, sourceInfo, newVersion.supportedGames);
+
+    // Record what exactly is being downloaded, and don't publish anything broken
+    if (assetInspector !== undefined) {
+        for (const [slot, asset] of Object.entries(claimedAssets)) {
+            const info = await assetInspector.inspect(modName, cleanedReleaseTag, provider, asset, contentType.archiveLayout(slot));
+            if (info.error !== undefined) {
+                contentType.clearAsset(newVersion, slot);
+            } else if (info.unavailable === undefined) {
+                contentType.applyIntegrity(newVersion, slot, info);
+            }
+        }
+    }
+
+    // If there are no assets, skip it -- there's nothing to download!
+    if (!contentType.hasAssets(newVersion)) {
+        if (Object.keys(claimedAssets).length > 0) {
+            log.warn(`ignoring version, none of its assets (${Object.keys(claimedAssets).join(", ")}) can be used by every launcher - ${modName}:${cleanedReleaseTag}`);
+        } else {
+            log.info(`ignoring version, no assets found - ${modName}:${cleanedReleaseTag}`);
+        }
+        return;
+    }
+    // otherwise, add it to the list
+    sourceInfo.versions.push(newVersion);
+}
+
+// `context` holds the `provider` to poll, and optionally a `releaseCache` (see `cache.js`),
+// an `assetInspector` (see `integrity.js`) and the config-wide `assetRules` (see `asset-matching.js`)
+export async function buildSourceEntry(modName, modInfo, contentType, context) {
+    const { provider, releaseCache } = context;
+    let sourceInfo = contentType.createEntry(modInfo);
+    if (!Object.keys(modInfo).includes("website_url")) {
+        // either its an external link and we can ignore it
+        // or we infer it from the repo_owner_name
+        if (!Object.keys(modInfo).includes("external_link")) {
+            sourceInfo.websiteUrl = provider.websiteUrl(modInfo["repo_owner"], modInfo["repo_name"]);
+        }
+    }
+    for (const [artKey, sourceArtKey] of contentType.artKeys) {
+        if (Object.keys(modInfo).includes(artKey)) {
+            sourceInfo[sourceArtKey] = modInfo[artKey];
+        }
+    }
+    if (Object.keys(modInfo).includes("per_game_config")) {
+        // iterate per-game configs
+        for (const [game, perGameConfig] of Object.entries(modInfo["per_game_config"])) {
+            sourceInfo.perGameConfig[game] = {};
+            for (const [artKey, sourceArtKey] of contentType.artKeys) {
+                if (Object.keys(perGameConfig).includes(artKey)) {
+                    sourceInfo.perGameConfig[game][sourceArtKey] = perGameConfig[artKey];
+                }
+            }
+        }
+    }
+
+    // if the entry is external only, we don't check releases
+    if (contentType.allowExternalLink && Object.keys(modInfo).includes("external_link")) {
+        sourceInfo.externalLink = modInfo["external_link"];
+        sourceInfo.supportedGames = modInfo["supported_games"];
+        return sourceInfo;
+    }
+
+    // otherwise, we poll the entry's release provider (github by default)
+    const assetRules = contentType.assetRules(modInfo, context.assetRules);
+    const repoKey = repoCacheKey(modInfo);
+    const releases = await provider.listReleases(modInfo["repo_owner"], modInfo["repo_name"], releaseCache?.forRepo(modName, repoKey));
+    log.debug(`${releases.length} release(s) listed by the '${provider.type}' provider - ${modName}`);
+    if (releaseCache?.isUnchanged(repoKey)) {
+        log.info(`releases unchanged since the last run, using cached data - ${modName}`);
+    }
+    for (const release of releases) {
+        await ingestRelease(modName, modInfo, contentType, context, assetRules, sourceInfo, release);
+    }
+
+    // safety hack, default to the content type's default games if no supportedGames provided
+    if (sourceInfo.supportedGames.length == 0) {
+        if (Object.keys(modInfo).includes("supported_games")) {
+            sourceInfo.supportedGames = [...modInfo["supported_games"]];
+        } else if (contentType.defaultSupportedGames.length > 0) {
+            sourceInfo.supportedGames = [...contentType.defaultSupportedGames];
+            log.info(`had no supported games at the top level, this is optional, defaulted to '${contentType.defaultSupportedGames.join(", ")}': ${modName}`);
+        }
+    }
+    return sourceInfo;
+}
@@ -0,0 +1,59 @@
+// Gitea / Forgejo (and anything else exposing the same `/api/v1` REST surface, e.g. Codeberg)
+// Their release objects are shaped like GitHub's, so they go through the same normalization.
+import { listPagesWithCache } from "./release.js";
+
+const PAGE_SIZE = 50;
+
+export function createGiteaProvider(options) {
+    if (!options["url"]) {
+        throw new Error("gitea provider requires a 'url'");
+    }
+    const baseUrl = options["url"].replace(/\/+$/, "");
+    const headers = {
+        "Accept": "application/json",
+        "User-Agent": "OpenGOAL-Mods/jakmods.dev"
+    };
+    const token = process.env[options["token_env"] ?? "GITEA_TOKEN"];
+    if (token) {
+        headers["Authorization"] = `token ${token}`;
+    }
+
+    return {
+        type: "gitea",
+        websiteUrl(owner, repo) {
+            return `${baseUrl}/${owner}/${repo}`;
+        },
+        async listReleases(owner, repo, repoCache) {
+            return await listPagesWithCache(repoCache, PAGE_SIZE, async (page, etag) => {
+                const url = `${baseUrl}/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/releases?page=${page}&limit=${PAGE_SIZE}`;
+                const resp = await fetch(url, { headers: etag ? { ...headers, "If-None-Match": etag } : headers });
+                if (resp.status === 304) {
+                    return { notModified: true };
+                }
+                if (resp.status !== 200) {
+                    throw new Error(`Hit non-200 status code (${resp.status}) when listing releases from ${url}`);
+                }
+                return { notModified: false, etag: resp.headers.get("etag") ?? undefined, releases: await resp.json() };
+            });
+        },
+        async repoInfo(owner, repo) {
+            const url = `${baseUrl}/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+            const resp = await fetch(url, { headers: headers });
+            if (resp.status === 404) {
+                return { exists: false, archived: false, renamedTo: undefined };
+            }
+            if (resp.status !== 200) {
+                throw new Error(`Hit non-200 status code (${resp.status}) when looking up ${url}`);
+            }
+            const data = await resp.json();
+            return {
+                exists: true,
+                archived: data.archived ?? false,
+                renamedTo: data.full_name.toLowerCase() !== `${owner}/${repo}`.toLowerCase() ? data.full_name : undefined
+            };
+        },
+        async fetchAsset(asset) {
+            return await fetch(asset.browser_download_url, { headers: headers });
+        }
+    };
+}
@@ -0,0 +1,95 @@
+import { Octokit } from "@octokit/rest";
+import { throttling } from "@octokit/plugin-throttling";
+import { retry } from "@octokit/plugin-retry";
+import { log } from "../log.js";
+import { listPagesWithCache } from "./release.js";
+
+const PAGE_SIZE = 100;
+
+// Only construct the client once something actually asks for GitHub releases,
+// so configs that don't use GitHub at all don't need a GITHUB_TOKEN.
+let octokit = undefined;
+function getOctokit() {
+    if (octokit !== undefined) {
+        return octokit;
+    }
+    Octokit.plugin(throttling);
+    Octokit.plugin(retry);
+    octokit = new Octokit({
+        auth: process.env.GITHUB_TOKEN,
+        userAgent: "OpenGOAL-Mods/jakmods.dev",
+        log: {
+            debug: () => { },
+            info: () => { },
+            warn: console.warn,
+            error: console.error,
+        },
+        throttle: {
+            onRateLimit: (retryAfter, options) => {
+                octokit.log.warn(
+                    `Request quota exhausted for request ${options.method} ${options.url}`,
+                );
+                if (options.request.retryCount <= 2) {
+                    log.warn(`Retrying after ${retryAfter} seconds!`);
+                    return true;
+                }
+            },
+            onAbuseLimit: (retryAfter, options) => {
+                octokit.log.warn(
+                    `Abuse detected for request ${options.method} ${options.url}`,
+                );
+            },
+        },
+    });
+    return octokit;
+}
+
+export function createGithubProvider() {
+    return {
+        type: "github",
+        websiteUrl(owner, repo) {
+            return `https://www.github.com/${owner}/${repo}`;
+        },
+        // `repoCache` is optional, when provided conditional requests are made against the ETags stored in it
+        // (unchanged pages don't count against the rate limit) and it's updated with the new pages
+        async listReleases(owner, repo, repoCache) {
+            const client = getOctokit();
+            return await listPagesWithCache(repoCache, PAGE_SIZE, async (page, etag) => {
+                try {
+                    const resp = await client.rest.repos.listReleases({
+                        owner: owner,
+                        repo: repo,
+                        per_page: PAGE_SIZE,
+                        page: page,
+                        headers: etag ? { "if-none-match": etag } : {}
+                    });
+                    return { notModified: false, etag: resp.headers.etag, releases: resp.data };
+                } catch (e) {
+                    if (e.status === 304) {
+                        return { notModified: true };
+                    }
+                    throw e;
+                }
+            });
+        },
+        async repoInfo(owner, repo) {
+            try {
+                const resp = await getOctokit().rest.repos.get({ owner: owner, repo: repo });
+                const fullName = resp.data.full_name;
+                return {
+                    exists: true,
+                    archived: resp.data.archived,
+                    renamedTo: fullName.toLowerCase() !== `${owner}/${repo}`.toLowerCase() ? fullName : undefined
+                };
+            } catch (e) {
+                if (e.status === 404) {
+                    return { exists: false, archived: false, renamedTo: undefined };
+                }
+                throw e;
+            }
+        },
+        async fetchAsset(asset) {
+            return await fetch(asset.browser_download_url);
+        }
+    };
+}
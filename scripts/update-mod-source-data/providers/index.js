@@ -0,0 +1,42 @@
+import { createGithubProvider } from "./github.js";
+import { createGiteaProvider } from "./gitea.js";
+import { createLocalProvider } from "./local.js";
+
+// A release provider knows how to list a repo's releases and download their assets.
+// Every provider hands back GitHub-shaped release objects (`tag_name`, `published_at`,
+// `assets[].name`, `assets[].browser_download_url`, `assets[].download_count`) so the
+// rest of the generator doesn't care where a mod is hosted.
+// `repoInfo(owner, repo)` resolves to `{ exists, archived, renamedTo }` for the health report,
+// `renamedTo` being the repo's new `owner/name` if the host redirects to it.
+const providerTypes = {
+    github: createGithubProvider,
+    gitea: createGiteaProvider,
+    local: createLocalProvider
+};
+
+export const DEFAULT_PROVIDER = "github";
+export const PROVIDER_TYPES = Object.keys(providerTypes);
+
+// Resolves the `provider` key of a config entry. It can either name one of the entries in the
+// top-level `providers` section of the config, or directly name a provider type that needs no options.
+export function createProviderResolver(providersConfig, configDir) {
+    const instances = {};
+    return function resolveProvider(providerName) {
+        providerName = providerName ?? DEFAULT_PROVIDER;
+        if (Object.keys(instances).includes(providerName)) {
+            return instances[providerName];
+        }
+        let options = {};
+        if (providersConfig && Object.keys(providersConfig).includes(providerName)) {
+            options = providersConfig[providerName];
+        } else {
+            options = { type: providerName };
+        }
+        const createProvider = providerTypes[options["type"]];
+        if (createProvider === undefined) {
+            throw new Error(`unknown provider '${providerName}', expected one of the 'providers' section or: ${PROVIDER_TYPES.join(", ")}`);
+        }
+        instances[providerName] = createProvider(options, configDir);
+        return instances[providerName];
+    };
+}
@@ -0,0 +1,102 @@
+import * as fs from "fs";
+import * as path from "path";
+import { pathToFileURL } from "url";
+
+// Reads releases from a directory on disk laid out as:
+//
+//   <path>/<repo_owner>/<repo_name>/<tag>/<asset files...>
+//
+// Each tag directory may contain an optional `release.json` with GitHub-style release fields
+// (`published_at`, `prerelease`, `draft`, `download_counts: { "<asset name>": <count> }`).
+// Without it, the tag directory's modification time is used as the published date.
+//
+// If `download_url_base` is set, assets are published as `<download_url_base>/<repo_owner>/<repo_name>/<tag>/<asset>`
+// (i.e. the directory is mirrored to a web host), otherwise as `file://` URLs which is only really useful for testing.
+
+const RELEASE_INFO_FILE = "release.json";
+
+export function createLocalProvider(options, configDir) {
+    const rootDir = path.resolve(configDir, options["path"] ?? "./releases");
+    const downloadUrlBase = options["download_url_base"]?.replace(/\/+$/, "");
+
+    function assetUrl(owner, repo, tag, name) {
+        if (downloadUrlBase) {
+            return `${downloadUrlBase}/${[owner, repo, tag, name].map(encodeURIComponent).join("/")}`;
+        }
+        return pathToFileURL(path.join(rootDir, owner, repo, tag, name)).href;
+    }
+
+    return {
+        type: "local",
+        websiteUrl(owner, repo) {
+            if (downloadUrlBase) {
+                return `${downloadUrlBase}/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+            }
+            return undefined;
+        },
+        // there is nothing to save by caching a directory listing, but the releases are still recorded in
+        // `repoCache` so offline checks (see `lintCachedReleases`) can see them
+        async listReleases(owner, repo, repoCache) {
+            const repoDir = path.join(rootDir, owner, repo);
+            if (!fs.existsSync(repoDir)) {
+                throw new Error(`local release directory does not exist: ${repoDir}`);
+            }
+            let releases = [];
+            for (const entry of fs.readdirSync(repoDir, { withFileTypes: true })) {
+                if (!entry.isDirectory()) {
+                    continue;
+                }
+                const tag = entry.name;
+                const releaseDir = path.join(repoDir, tag);
+                let releaseInfo = {};
+                if (fs.existsSync(path.join(releaseDir, RELEASE_INFO_FILE))) {
+                    try {
+                        releaseInfo = JSON.parse(fs.readFileSync(path.join(releaseDir, RELEASE_INFO_FILE)).toString());
+                    } catch (e) {
+                        throw new Error(`Bad ${RELEASE_INFO_FILE}, not valid JSON: ${e} -- ${releaseDir}`);
+                    }
+                }
+                if (releaseInfo["draft"]) {
+                    continue;
+                }
+                const downloadCounts = releaseInfo["download_counts"] ?? {};
+                let assets = [];
+                for (const file of fs.readdirSync(releaseDir, { withFileTypes: true })) {
+                    if (!file.isFile() || file.name === RELEASE_INFO_FILE) {
+                        continue;
+                    }
+                    const stats = fs.statSync(path.join(releaseDir, file.name));
+                    assets.push({
+                        name: file.name,
+                        size: stats.size,
+                        updated_at: stats.mtime.toISOString(),
+                        browser_download_url: assetUrl(owner, repo, tag, file.name),
+                        download_count: downloadCounts[file.name] ?? 0,
+                        localPath: path.join(releaseDir, file.name)
+                    });
+                }
+                releases.push({
+                    tag_name: tag,
+                    published_at: releaseInfo["published_at"] ?? fs.statSync(releaseDir).mtime.toISOString(),
+                    prerelease: releaseInfo["prerelease"] ?? false,
+                    assets: assets
+                });
+            }
+            // newest first, same as the GitHub API
+            releases.sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at));
+            if (repoCache !== undefined) {
+                repoCache.pages = [{ etag: undefined, count: releases.length, releases: releases }];
+            }
+            return releases;
+        },
+        async repoInfo(owner, repo) {
+            return { exists: fs.existsSync(path.join(rootDir, owner, repo)), archived: false, renamedTo: undefined };
+        },
+        async fetchAsset(asset) {
+            if (!fs.existsSync(asset.localPath)) {
+                return new Response(null, { status: 404 });
+            }
+            return new Response(fs.readFileSync(asset.localPath), { status: 200 });
+        }
+    };
+}
@@ -0,0 +1,47 @@
+// The subset of a GitHub release object the generator actually uses. Providers normalize to this,
+// which also keeps the release cache small.
+export function slimRelease(release) {
+    return {
+        id: release.id,
+        tag_name: release.tag_name,
+        published_at: release.published_at,
+        prerelease: release.prerelease ?? false,
+        assets: release.assets.map((asset) => ({
+            id: asset.id,
+            name: asset.name,
+            size: asset.size,
+            updated_at: asset.updated_at,
+            browser_download_url: asset.browser_download_url,
+            download_count: asset.download_count
+        }))
+    };
+}
+
+// Shared by the http based providers: walk the pages of a release listing, re-using any cached page the
+// server says is unchanged (`If-None-Match` -> 304). `fetchPage(page, etag)` returns `{ notModified, etag, releases }`.
+export async function listPagesWithCache(repoCache, pageSize, fetchPage) {
+    let releases = [];
+    let pages = [];
+    for (let page = 1; ; page++) {
+        const cachedPage = repoCache?.pages?.[page - 1];
+        const result = await fetchPage(page, cachedPage?.etag);
+        let currentPage = cachedPage;
+        if (!result.notModified || cachedPage === undefined) {
+            // drafts are only visible to authenticated maintainers, but never list them either way
+            currentPage = {
+                etag: result.etag,
+                count: result.releases.length,
+                releases: result.releases.filter((release) => !release.draft).map(slimRelease)
+            };
+        }
+        pages.push(currentPage);
+        releases = releases.concat(currentPage.releases);
+        if (currentPage.count < pageSize) {
+            break;
+        }
+    }
+    if (repoCache !== undefined) {
+        repoCache.pages = pages;
+    }
+    return releases;
+}
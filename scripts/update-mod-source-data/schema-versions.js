@@ -0,0 +1,113 @@
+import * as fs from "fs";
+import * as path from "path";
+import { contentTypes } from "./content-types.js";
+
+// The generator builds one canonical model of the mod source: what `pipeline.js` builds and `upstream.js` merges in,
+// and what the feeds, site and statistics are generated from. It's published in every schema version listed here, so
+// the launchers already out there keep reading the format they were written for, while newer ones get the newer one.
+//
+// - `schemaVersion`: what the file's `schemaVersion` says
+// - `suffix`: inserted before the extension of --output, e.g. mods.json and mods.v2.json
+// - `schema`: the JSON schema (in `schemas/`) the output has to validate against
+// - `transform`: the canonical model in this version's structure
+//
+// The transformed data is then cut down to what the schema declares, so a field added to the model is only ever
+// published in the versions whose schema has it. Objects keep their key order, which is what keeps mods.json
+// byte for byte the same for unchanged input (`npm run lint` checks the published one still round-trips).
+//
+// The model is still shaped like v1 plus whatever is newer, so reading a v1 file (ours or an upstream source) is
+// just dropping `schemaVersion` and `lastUpdated`, see `readModSource`.
+
+function loadSchema(fileName) {
+    return JSON.parse(fs.readFileSync(new URL(`./schemas/${fileName}`, import.meta.url)));
+}
+
+const v1 = {
+    schemaVersion: "1.0.0",
+    suffix: "",
+    schema: loadSchema("mods.schema.json"),
+    transform(model) {
+        return model;
+    }
+};
+
+// v2 lists every version's downloads the same way for every content type (see `publishedAssets` in `content-types.js`)
+// and drops the top-level `supportedGames`, launchers are expected to go by the versions' own. Only external
+// entries, which have no versions, still have it.
+const v2 = {
+    schemaVersion: "2.0.0",
+    suffix: ".v2",
+    schema: loadSchema("mods.v2.schema.json"),
+    transform(model) {
+        let data = { sourceName: model.sourceName };
+        for (const contentType of contentTypes) {
+            data[contentType.sourceKey] = {};
+            for (const [key, entry] of Object.entries(model[contentType.sourceKey] ?? {})) {
+                const { supportedGames, externalLink, versions, ...rest } = entry;
+                data[contentType.sourceKey][key] = {
+                    ...rest,
+                    ...(typeof externalLink === "string" ? { supportedGames: supportedGames, externalLink: externalLink } : {}),
+                    versions: versions.map((version) => ({ ...contentType.withoutAssets(version), assets: contentType.publishedAssets(version) }))
+                };
+            }
+        }
+        return data;
+    }
+};
+
+export const schemaVersions = [v1, v2];
+// the one older launchers read, and what upstream sources have to publish
+export const PRIMARY_SCHEMA_VERSION = v1.schemaVersion;
+
+function resolveRef(schema, root) {
+    while (schema?.["$ref"] !== undefined) {
+        schema = schema["$ref"].replace(/^#\//, "").split("/").reduce((node, key) => node[key], root);
+    }
+    return schema;
+}
+
+// Drops whatever the schema doesn't allow (`additionalProperties: false`) at any depth, keeping the key order
+function pruneToSchema(value, schema, root) {
+    schema = resolveRef(schema, root);
+    if (schema === undefined || schema === true) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return schema.items === undefined ? value : value.map((item) => pruneToSchema(item, schema.items, root));
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+    let pruned = {};
+    for (const [key, item] of Object.entries(value)) {
+        const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+        if (itemSchema !== false) {
+            pruned[key] = pruneToSchema(item, itemSchema, root);
+        }
+    }
+    return pruned;
+}
+
+// The file contents (as data) of one schema version for the canonical model
+export function serializeModSource(schemaVersion, model, lastUpdated) {
+    const { schema, transform } = schemaVersions.find((candidate) => candidate.schemaVersion === schemaVersion);
+    return pruneToSchema({ schemaVersion: schemaVersion, ...transform(model), lastUpdated: lastUpdated }, schema, schema);
+}
+
+// ... and as it's written to disk
+export function formatModSource(schemaVersion, model, lastUpdated) {
+    return JSON.stringify(serializeModSource(schemaVersion, model, lastUpdated), null, 4);
+}
+
+// Where a schema version is written, given --output
+export function modSourcePath(schemaVersion, outputPath) {
+    const { suffix } = schemaVersions.find((candidate) => candidate.schemaVersion === schemaVersion);
+    const extension = path.extname(outputPath);
+    return path.join(path.dirname(outputPath), path.basename(outputPath, extension) + suffix + extension);
+}
+
+// The canonical model and the `lastUpdated` of a file of the primary schema version
+export function readModSource(data) {
+    const { schemaVersion, lastUpdated, ...model } = data;
+    return { model: model, lastUpdated: lastUpdated };
+}
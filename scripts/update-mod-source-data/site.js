@@ -0,0 +1,294 @@
+import * as fs from "fs";
+import * as path from "path";
+import { mirroredArtPath } from "./art.js";
+import { contentTypes } from "./content-types.js";
+import { ALWAYS_LISTED_GAMES, isListed } from "./listing.js";
+import { escapeHtml, slugify } from "./markup.js";
+
+// Static pages for the site, rendered from the mod source data at build time so the mod list works without
+// client-side JS, and without fetching mods.json from wherever the real site happens to be hosted.
+//
+// `templates/index.html` holds the hand-written parts of the landing page, the mod list replaces its
+// `<!-- mod-list -->` marker. Every listed entry also gets a page of its own (see `pageDir` in `content-types.js`).
+// Links between pages are relative so forks and local previews work, and everything from the data is escaped.
+//
+// Next to it goes `search-index.json`, a compact summary of every listed entry that `site/mod-list.js` uses to
+// search, filter and sort the (static) mod list in the browser. Rows and sections carry the `data-` attributes it needs.
+
+const INDEX_TEMPLATE_PATH = new URL("./templates/index.html", import.meta.url);
+const MOD_LIST_MARKER = "<!-- mod-list -->";
+const SEARCH_INDEX_PATH = "search-index.json";
+const SEARCH_INDEX_VERSION = 1;
+// sections shown for the main games even when they're empty, so there's a stable place to link to
+const ALWAYS_SHOWN_SECTIONS = ["mods"];
+const GAME_TITLES = {
+    jak1: "Jak 1",
+    jak2: "Jak 2",
+    jak3: "Jak 3",
+    jakx: "Jak X"
+};
+
+// only web links make it into an `href`/`src`, anything else (`javascript:`, `file:`, ...) is left out
+function webUrl(url) {
+    return typeof url === "string" && /^https?:\/\//i.test(url) ? url : undefined;
+}
+
+function link(url, text) {
+    const href = webUrl(url);
+    return href !== undefined ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+function gameTitle(game) {
+    return GAME_TITLES[game] ?? game;
+}
+
+export function formatDate(date) {
+    const parsed = Date.parse(date);
+    return isNaN(parsed) ? String(date ?? "") : new Date(parsed).toISOString().substring(0, 10);
+}
+
+function formatSize(size) {
+    if (size === null || size === undefined) {
+        return "";
+    }
+    return size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(size / 1024)} KB`;
+}
+
+// The page of every listed entry, relative to the site root, as `{ sourceKey: { key: "mods/<slug>.html" } }`
+export function pagePaths(modSourceData) {
+    let paths = {};
+    for (const contentType of contentTypes) {
+        paths[contentType.sourceKey] = {};
+        const usedNames = new Set();
+        for (const [key, entry] of Object.entries(modSourceData[contentType.sourceKey] ?? {})) {
+            if (!isListed(entry)) {
+                continue;
+            }
+            // keys are free-form, so make sure two of them can't end up sharing a file
+            const slug = slugify(key) || "entry";
+            let name = slug;
+            for (let suffix = 2; usedNames.has(name); suffix++) {
+                name = `${slug}-${suffix}`;
+            }
+            usedNames.add(name);
+            paths[contentType.sourceKey][key] = `${contentType.pageDir}/${name}.html`;
+        }
+    }
+    return paths;
+}
+
+function releaseDate(entry, game) {
+    const firstPublished = entry.versions.map((version) => version.publishedDate).sort((a, b) => Date.parse(a) - Date.parse(b))[0];
+    return entry.perGameConfig?.[game]?.releaseDate ?? firstPublished;
+}
+
+// `rowAttributes` are extra (already escaped) attributes per row
+export function renderTable(columns, rows, rowAttributes = []) {
+    return [
+        `<table style="width:100%">`,
+        `  <tr>${columns.map(([title, width]) => `<th style="width:${width}">${escapeHtml(title)}</th>`).join("")}</tr>`,
+        ...rows.map((row, idx) => `  <tr${rowAttributes[idx] ?? ""}>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`),
+        `</table>`
+    ];
+}
+
+function platformsOf(contentType, entry) {
+    return [...new Set(entry.versions.flatMap((version) => contentType.listDownloads(version).flatMap((download) => download.platforms)))];
+}
+
+function lastUpdated(entry) {
+    return entry.versions.map((version) => version.publishedDate).sort((a, b) => Date.parse(b) - Date.parse(a))[0];
+}
+
+export function renderPage(title, root, bodyLines) {
+    return [
+        `<!DOCTYPE html>`,
+        `<!-- generated by scripts/update-mod-source-data from mods.json, don't edit by hand -->`,
+        `<html>`,
+        `  <head>`,
+        `    <meta charset="utf-8">`,
+        `    <link rel="stylesheet" href="${root}main_style.css">`,
+        `    <title>${escapeHtml(title)} - Jak Mods (OpenGOAL Mods)</title>`,
+        `    <link rel="icon" href="${root}icon.png" type="image/x-icon">`,
+        `  </head>`,
+        `  <body>`,
+        `    <div class="navbar">`,
+        `      <p><h1><center>JakMods.dev (OpenGOAL Mods) <img src="${root}icon.png" height="25"/></center></h1></p>`,
+        `      <p><center><a href="${root}index.html">Mod List</a> | <a href="https://opengoal.dev/">OpenGOAL official site</a> | <a href="${root}legacy.html">Legacy Mod Launcher</a> | <a href="${root}faq.html">FAQ</a> | <a href="https://discord.gg/k5PKHta6d8">Discord</a></center></p>`,
+        `    </div>`,
+        `    <div class="main">`,
+        ...bodyLines.map((line) => `      ${line}`),
+        `    </div>`,
+        `  </body>`,
+        `</html>`
+    ].join("\n") + "\n";
+}
+
+function listedGames(modSourceData) {
+    const allGames = contentTypes.flatMap((contentType) => Object.values(modSourceData[contentType.sourceKey] ?? {}).flatMap((entry) => entry.supportedGames));
+    return [...ALWAYS_LISTED_GAMES, ...[...new Set(allGames)].filter((game) => !ALWAYS_LISTED_GAMES.includes(game)).sort()];
+}
+
+// One section per game and content type, newest first, with an empty spot for the filter bar above them
+function renderModList(modSourceData, paths) {
+    const games = listedGames(modSourceData);
+    let lines = [`<div id="mod-filters"></div>`];
+    for (const game of games) {
+        for (const contentType of contentTypes) {
+            const entries = Object.entries(paths[contentType.sourceKey])
+                .map(([key, pagePath]) => [pagePath, modSourceData[contentType.sourceKey][key]])
+                .filter(([, entry]) => entry.supportedGames.includes(game))
+                .sort(([, a], [, b]) => (Date.parse(releaseDate(b, game)) || 0) - (Date.parse(releaseDate(a, game)) || 0));
+            if (entries.length === 0 && !(ALWAYS_SHOWN_SECTIONS.includes(contentType.sourceKey) && ALWAYS_LISTED_GAMES.includes(game))) {
+                continue;
+            }
+            lines.push(
+                `<section class="mod-section" data-game="${escapeHtml(game)}">`,
+                `  <h3 id="${escapeHtml(`${game}-${contentType.pageDir}`)}">${escapeHtml(`${gameTitle(game)} ${contentType.title}`)}</h3>`
+            );
+            if (entries.length === 0) {
+                lines.push(`  <p>Nothing here yet.</p>`, `</section>`);
+                continue;
+            }
+            const columns = [["Name", "15%"], ["Description", "40%"], ["Contributors", "15%"], ["Tags", "15%"], ["Platforms", "10%"], ["Released", "5%"], ["Website", "5%"]];
+            const rows = entries.map(([pagePath, entry]) => {
+                const downloadLabels = [...new Set(entry.versions.flatMap((version) => contentType.listDownloads(version).map((download) => download.label)))];
+                return [
+                    `<a href="${escapeHtml(pagePath)}">${escapeHtml(entry.displayName)}</a>`,
+                    escapeHtml(entry.description),
+                    escapeHtml(entry.authors.join(", ")),
+                    escapeHtml([...entry.tags].sort().join(", ")),
+                    escapeHtml(downloadLabels.join(", ")),
+                    escapeHtml(formatDate(releaseDate(entry, game))),
+                    webUrl(entry.websiteUrl) !== undefined ? link(entry.websiteUrl, "Website") : "N/A"
+                ];
+            });
+            const rowAttributes = entries.map(([pagePath]) => ` data-page="${escapeHtml(pagePath)}"`);
+            lines.push(...renderTable(columns, rows, rowAttributes).map((line) => `  ${line}`), `</section>`);
+        }
+    }
+    return lines;
+}
+
+// Everything the filter bar searches and sorts by, keyed by the same page path the rows carry.
+// Kept compact (short, unformatted) as the browser fetches it on every visit to the mod list
+function buildSearchIndex(modSourceData, paths) {
+    let entries = [];
+    for (const contentType of contentTypes) {
+        for (const [key, pagePath] of Object.entries(paths[contentType.sourceKey])) {
+            const entry = modSourceData[contentType.sourceKey][key];
+            const games = [...new Set(entry.supportedGames)];
+            entries.push({
+                page: pagePath,
+                key: key,
+                type: contentType.sourceKey,
+                name: entry.displayName,
+                description: entry.description,
+                authors: entry.authors,
+                tags: [...entry.tags].sort(),
+                games: games,
+                platforms: platformsOf(contentType, entry),
+                released: Object.fromEntries(games.map((game) => [game, formatDate(releaseDate(entry, game))])),
+                updated: formatDate(lastUpdated(entry))
+            });
+        }
+    }
+    return {
+        version: SEARCH_INDEX_VERSION,
+        games: listedGames(modSourceData),
+        tags: [...new Set(entries.flatMap((entry) => entry.tags))].sort(),
+        entries: entries
+    };
+}
+
+function renderEntryPage(contentType, entry, siteUrl) {
+    const games = [...new Set(entry.supportedGames)];
+    let lines = [`<p><a href="../index.html#mods">&larr; Back to the mod list</a></p>`, `<h2>${escapeHtml(entry.displayName)}</h2>`];
+
+    // the cover if there is one, otherwise the thumbnail, either shared or one per game
+    for (const artKey of ["coverArtUrl", "thumbnailArtUrl"]) {
+        const art = [...new Set([entry[artKey], ...games.map((game) => entry.perGameConfig?.[game]?.[artKey])].filter((url) => webUrl(url) !== undefined))];
+        if (art.length > 0) {
+            const src = (url) => {
+                const artPath = mirroredArtPath(url, siteUrl);
+                return artPath !== undefined ? `../${artPath}` : url;
+            };
+            lines.push(`<p>${art.map((url) => `<img src="${escapeHtml(src(url))}" alt="${escapeHtml(entry.displayName)}" style="max-width:100%">`).join(" ")}</p>`);
+            break;
+        }
+    }
+    lines.push(`<p>${escapeHtml(entry.description)}</p>`);
+
+    let details = [
+        ["Contributors", escapeHtml(entry.authors.join(", "))],
+        ["Tags", escapeHtml([...entry.tags].sort().join(", "))],
+        ["Games", games.map((game) => escapeHtml(`${gameTitle(game)} (released ${formatDate(releaseDate(entry, game))})`)).join("<br>")],
+        ["Website", webUrl(entry.websiteUrl) !== undefined ? link(entry.websiteUrl, entry.websiteUrl) : "N/A"]
+    ];
+    if (entry.source !== undefined) {
+        details.push(["Listed by", link(entry.source.url, entry.source.name)]);
+    }
+    lines.push(
+        `<table style="width:100%">`,
+        ...details.map(([title, value]) => `  <tr><td style="width:15%"><b>${escapeHtml(title)}</b></td><td>${value}</td></tr>`),
+        `</table>`
+    );
+
+    lines.push(`<h3>Versions</h3>`);
+    if (entry.versions.length === 0) {
+        lines.push(`<p>No versions have been published yet.</p>`);
+        return lines;
+    }
+    const columns = [["Version", "20%"], ["Released", "15%"], ["Games", "15%"], ["Downloads", "50%"]];
+    lines.push(...renderTable(columns, entry.versions.map((version) => {
+        let versionCell = escapeHtml(version.version);
+        if (version.channel === "beta") {
+            versionCell += " (beta)";
+        }
+        if (version.yanked) {
+            versionCell += `<br><b>Yanked:</b> ${escapeHtml(version.yanked.reason)}`;
+        }
+        const downloads = contentType.listDownloads(version).map((download) => {
+            const size = formatSize(download.size);
+            return `${link(download.url, download.label)}${size !== "" ? ` (${size})` : ""}`;
+        });
+        return [
+            versionCell,
+            escapeHtml(formatDate(version.publishedDate)),
+            escapeHtml(version.supportedGames.map(gameTitle).join(", ")),
+            downloads.join("<br>")
+        ];
+    })));
+    return lines;
+}
+
+// Writes `index.html`, the search index and a page per listed entry, returns how many entry pages were written.
+// `siteUrl` is where the site is served from, so the pages can link the art mirrored into it relatively
+export function writeSite(modSourceData, siteDir, siteUrl) {
+    const paths = pagePaths(modSourceData);
+
+    const template = fs.readFileSync(INDEX_TEMPLATE_PATH).toString();
+    const markerLine = template.split("\n").find((line) => line.trim() === MOD_LIST_MARKER);
+    if (markerLine === undefined) {
+        throw new Error(`templates/index.html is missing the '${MOD_LIST_MARKER}' marker`);
+    }
+    const indent = markerLine.substring(0, markerLine.indexOf(MOD_LIST_MARKER));
+    const modList = renderModList(modSourceData, paths).map((line) => `${indent}${line}`).join("\n");
+    const index = template.replace(markerLine, () => modList).replace(/^<!DOCTYPE html>\n/i, (doctype) => `${doctype}<!-- generated by scripts/update-mod-source-data from templates/index.html, edit that instead -->\n`);
+    fs.writeFileSync(path.join(siteDir, "index.html"), index);
+    fs.writeFileSync(path.join(siteDir, SEARCH_INDEX_PATH), JSON.stringify(buildSearchIndex(modSourceData, paths)) + "\n");
+
+    let written = 0;
+    for (const contentType of contentTypes) {
+        // regenerated from scratch so pages of removed entries disappear
+        const pageDir = path.join(siteDir, contentType.pageDir);
+        fs.rmSync(pageDir, { recursive: true, force: true });
+        for (const [key, pagePath] of Object.entries(paths[contentType.sourceKey])) {
+            const entry = modSourceData[contentType.sourceKey][key];
+            fs.mkdirSync(pageDir, { recursive: true });
+            fs.writeFileSync(path.join(siteDir, pagePath), renderPage(entry.displayName, "../", renderEntryPage(contentType, entry, siteUrl)));
+            written++;
+        }
+    }
+    return written;
+}
@@ -0,0 +1,149 @@
+import * as fs from "fs";
+import * as path from "path";
+import { contentTypes } from "./content-types.js";
+import { applySnapshot } from "./history.js";
+import { escapeHtml } from "./markup.js";
+import { formatDate, pagePaths, renderPage, renderTable } from "./site.js";
+
+// Download statistics of every listed entry, worked out from the download history (see `history.js`):
+// - `stats.json`: the total and weekly downloads, what's trending, and every entry's downloads per day
+// - `stats.html`: the same for people, with a small (static, inline svg) curve per entry
+//
+// Figures are as of the last snapshot rather than when the generator ran, so they don't change without new counts.
+// "Weekly" is the number of downloads since the last snapshot at least 7 days older, or since counting started
+// for anything tracked for less than that. Trending is simply what got downloaded the most during that week.
+
+const STATS_PATH = "stats.json";
+const STATS_PAGE_PATH = "stats.html";
+const STATS_VERSION = 1;
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const TRENDING_COUNT = 10;
+const CURVE_WIDTH = 240;
+const CURVE_HEIGHT = 40;
+
+function totalOf(versions) {
+    return Object.values(versions).flatMap((slots) => Object.values(slots)).reduce((total, count) => total + count, 0);
+}
+
+// Replays the history into `{ sourceKey: { key: Map(day -> total downloads at the end of that day) } }`
+// a day with several snapshots ends up as a single point, the last one's
+function dailyTotals(snapshots) {
+    let counts = {};
+    let series = {};
+    for (const snapshot of snapshots) {
+        const day = formatDate(snapshot.timestamp);
+        applySnapshot(counts, snapshot, (sourceKey, key) => {
+            series[sourceKey] ??= {};
+            series[sourceKey][key] ??= new Map();
+            series[sourceKey][key].set(day, totalOf(counts[sourceKey][key]));
+        });
+    }
+    return series;
+}
+
+// `points` are `[day, total]` pairs, oldest first
+function downloadsSince(points, cutoffDay) {
+    if (points.length === 0) {
+        return 0;
+    }
+    const before = points.filter(([day]) => day <= cutoffDay);
+    const baseline = before.length > 0 ? before[before.length - 1][1] : points[0][1];
+    return points[points.length - 1][1] - baseline;
+}
+
+export function buildStats(modSourceData, snapshots) {
+    const paths = pagePaths(modSourceData);
+    const series = dailyTotals(snapshots);
+    const asOf = snapshots.length > 0 ? snapshots[snapshots.length - 1].timestamp : null;
+    const cutoffDay = asOf !== null ? formatDate(new Date(Date.parse(asOf) - WEEK).toISOString()) : null;
+
+    let entries = [];
+    for (const contentType of contentTypes) {
+        for (const [key, pagePath] of Object.entries(paths[contentType.sourceKey])) {
+            const points = [...(series[contentType.sourceKey]?.[key] ?? new Map())];
+            entries.push({
+                type: contentType.sourceKey,
+                key: key,
+                name: modSourceData[contentType.sourceKey][key].displayName,
+                page: pagePath,
+                total: points.length > 0 ? points[points.length - 1][1] : 0,
+                weekly: downloadsSince(points, cutoffDay),
+                history: points
+            });
+        }
+    }
+    entries.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+    return {
+        version: STATS_VERSION,
+        asOf: asOf,
+        total: entries.reduce((total, entry) => total + entry.total, 0),
+        weekly: entries.reduce((total, entry) => total + entry.weekly, 0),
+        trending: entries
+            .filter((entry) => entry.weekly > 0)
+            .sort((a, b) => b.weekly - a.weekly || a.name.localeCompare(b.name))
+            .slice(0, TRENDING_COUNT)
+            .map((entry) => ({ type: entry.type, key: entry.key, name: entry.name, page: entry.page, weekly: entry.weekly })),
+        entries: entries
+    };
+}
+
+// Every curve shares the same time axis (`firstDay` to `lastDay`), the vertical one is scaled per entry
+function renderCurve(points, firstDay, lastDay) {
+    if (points.length < 2) {
+        return "Not enough data yet";
+    }
+    const start = Date.parse(firstDay);
+    const span = Math.max(Date.parse(lastDay) - start, 1);
+    const low = points[0][1];
+    const range = Math.max(points[points.length - 1][1] - low, 1);
+    const coordinates = points.map(([day, total]) => {
+        const x = (Date.parse(day) - start) / span * CURVE_WIDTH;
+        const y = CURVE_HEIGHT - 2 - (total - low) / range * (CURVE_HEIGHT - 4);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const description = `${points[0][1]} downloads on ${points[0][0]}, ${points[points.length - 1][1]} on ${points[points.length - 1][0]}`;
+    return `<svg width="${CURVE_WIDTH}" height="${CURVE_HEIGHT}" viewBox="0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}" role="img" aria-label="${escapeHtml(description)}">`
+        + `<title>${escapeHtml(description)}</title>`
+        + `<polyline fill="none" stroke="currentColor" stroke-width="2" points="${coordinates.join(" ")}"/></svg>`;
+}
+
+function renderStatsPage(stats) {
+    let lines = [`<h2>Download statistics</h2>`];
+    if (stats.asOf === null) {
+        lines.push(`<p>No download counts have been recorded yet.</p>`);
+        return lines;
+    }
+    lines.push(`<p>${stats.total} downloads in total, ${stats.weekly} of them in the week up to ${escapeHtml(formatDate(stats.asOf))}. The numbers are also available as <a href="${STATS_PATH}">${STATS_PATH}</a>.</p>`);
+
+    lines.push(`<h3>Trending</h3>`);
+    if (stats.trending.length === 0) {
+        lines.push(`<p>Nothing was downloaded this week.</p>`);
+    } else {
+        lines.push(
+            `<p>Downloaded the most this week:</p>`,
+            `<ol>`,
+            ...stats.trending.map((entry) => `  <li><a href="${escapeHtml(entry.page)}">${escapeHtml(entry.name)}</a> (+${entry.weekly})</li>`),
+            `</ol>`
+        );
+    }
+
+    lines.push(`<h3>Downloads over time</h3>`);
+    const days = stats.entries.flatMap((entry) => entry.history.map(([day]) => day)).sort();
+    const columns = [["Name", "30%"], ["Downloads", "10%"], ["This week", "10%"], ["Over time", "50%"]];
+    lines.push(...renderTable(columns, stats.entries.map((entry) => [
+        `<a href="${escapeHtml(entry.page)}">${escapeHtml(entry.name)}</a>`,
+        String(entry.total),
+        String(entry.weekly),
+        renderCurve(entry.history, days[0], days[days.length - 1])
+    ])));
+    return lines;
+}
+
+// Writes `stats.json` and `stats.html` from the download history, returns the stats
+export function writeStats(modSourceData, snapshots, siteDir) {
+    const stats = buildStats(modSourceData, snapshots);
+    fs.writeFileSync(path.join(siteDir, STATS_PATH), JSON.stringify(stats) + "\n");
+    fs.writeFileSync(path.join(siteDir, STATS_PAGE_PATH), renderPage("Download statistics", "", renderStatsPage(stats)));
+    return stats;
+}
@@ -0,0 +1,89 @@
+import assert from "assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { listArchiveEntries } from "../archive.js";
+
+// The archives in `fixtures/archives/` hold the same files in every format, with a name too long for a plain tar
+// header. Broken ones are made from them here, the way a cut off or tampered with download would look.
+
+const ARCHIVES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/archives");
+const LONG_NAME = `data/${"very-long-directory-name/".repeat(5)}file.txt`;
+const FILES = ["gk", "data/iso_data/.keep", LONG_NAME];
+
+function readArchive(fileName) {
+    return fs.readFileSync(path.join(ARCHIVES_DIR, fileName));
+}
+
+// Writes `contents` to a temporary file and lists it as `fileName`
+async function listBytes(t, fileName, contents) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-test-"));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    const filePath = path.join(tempDir, fileName);
+    fs.writeFileSync(filePath, contents);
+    return await listArchiveEntries(fileName, filePath);
+}
+
+test("lists the entries of a zip", async () => {
+    assert.deepEqual(await listArchiveEntries("layout.zip", path.join(ARCHIVES_DIR, "layout.zip")), ["data/", ...FILES]);
+});
+
+test("lists the entries of a zip64 zip, with zip64 extra fields", async () => {
+    assert.deepEqual(await listArchiveEntries("layout-zip64.zip", path.join(ARCHIVES_DIR, "layout-zip64.zip")), FILES);
+});
+
+test("lists the entries of gnu and pax tarballs, long names included", async () => {
+    for (const fileName of ["layout-gnu.tar", "layout-pax.tar"]) {
+        assert.deepEqual(await listArchiveEntries(fileName, path.join(ARCHIVES_DIR, fileName)), ["data/", ...FILES], fileName);
+    }
+});
+
+test("lists the entries of a .tar.gz and a .tgz", async (t) => {
+    assert.deepEqual(await listArchiveEntries("layout.tar.gz", path.join(ARCHIVES_DIR, "layout.tar.gz")), ["data/", ...FILES]);
+    assert.deepEqual(await listBytes(t, "LAYOUT.TGZ", readArchive("layout.tar.gz")), ["data/", ...FILES]);
+});
+
+test("resolves to undefined for formats it can't look into", async (t) => {
+    assert.equal(await listBytes(t, "setup.exe", readArchive("layout.zip")), undefined);
+});
+
+test("rejects zips that aren't zips, are cut off or point outside themselves", async (t) => {
+    const zip = readArchive("layout.zip");
+    await assert.rejects(listBytes(t, "garbage.zip", Buffer.from("not a zip at all")));
+    await assert.rejects(listBytes(t, "truncated.zip", zip.subarray(0, zip.length - 30)));
+    // the end of central directory record says the directory starts past the end of the file
+    const bogusOffset = Buffer.from(zip);
+    bogusOffset.writeUInt32LE(0x7fffffff, bogusOffset.lastIndexOf(Buffer.from("PK\x05\x06", "latin1")) + 16);
+    await assert.rejects(listBytes(t, "bogus-offset.zip", bogusOffset));
+    await assert.rejects(listArchiveEntries("outside.zip", path.join(ARCHIVES_DIR, "outside.zip")), /invalid relative path/);
+});
+
+test("rejects cut off and corrupt tarballs", async (t) => {
+    const tarball = readArchive("layout-gnu.tar");
+    await assert.rejects(listBytes(t, "truncated.tar", tarball.subarray(0, 1000)));
+    const badChecksum = Buffer.from(tarball);
+    badChecksum[0] ^= 0xff;
+    await assert.rejects(listBytes(t, "bad-checksum.tar", badChecksum));
+});
+
+test("rejects pax headers claiming more data than there is", async (t) => {
+    const tarball = Buffer.from(readArchive("layout-pax.tar"));
+    let offset = 0;
+    while (String.fromCharCode(tarball[offset + 156]) !== "x") {
+        offset += 512;
+    }
+    tarball.write("77777777777\0", offset + 124, "latin1");
+    // the size is part of the header's checksum
+    tarball.fill(" ", offset + 148, offset + 156, "latin1");
+    const checksum = tarball.subarray(offset, offset + 512).reduce((total, byte) => total + byte, 0);
+    tarball.write(`${checksum.toString(8).padStart(6, "0")}\0 `, offset + 148, "latin1");
+    await assert.rejects(listBytes(t, "oversized-pax.tar", tarball));
+});
+
+test("rejects gzip files that are cut off or aren't gzip", async (t) => {
+    const gzipped = readArchive("layout.tar.gz");
+    await assert.rejects(listBytes(t, "truncated.tar.gz", gzipped.subarray(0, gzipped.length / 2)), /not a valid gzip file/);
+    await assert.rejects(listBytes(t, "plain.tar.gz", readArchive("layout-gnu.tar")), /not a valid gzip file/);
+});
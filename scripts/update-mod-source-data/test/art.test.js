@@ -0,0 +1,181 @@
+import assert from "assert/strict";
+import * as fs from "fs";
+import { createServer } from "http";
+import * as os from "os";
+import * as path from "path";
+import sharp from "sharp";
+import { test } from "node:test";
+import { createArtMirror } from "../art.js";
+import { setLogLevel } from "../log.js";
+
+// Mirrors art from files next to a config and from a local http server, into a temporary site
+
+setLogLevel("error");
+
+const SITE_URL = "https://mods.example.org";
+
+// A blank image of the given size and format
+async function blankImage(width, height, format = "png") {
+    return await sharp({ create: { width: width, height: height, channels: 3, background: "#336699" } }).toFormat(format).toBuffer();
+}
+
+// A temporary config dir and site, `files` are written to the config dir
+function tempDirs(t, files = {}) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "art-test-"));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    const configDir = path.join(tempDir, "config");
+    const siteDir = path.join(tempDir, "site");
+    fs.mkdirSync(configDir);
+    fs.mkdirSync(siteDir);
+    for (const [name, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(configDir, name), contents);
+    }
+    return { configDir: configDir, siteDir: siteDir };
+}
+
+// Serves `routes`, `{ <path>: { contentType, body, etag } }`, answering conditional requests for an unchanged etag
+// with a 304. Resolves to the server's url, every request is recorded in `requests` as `<path> <status>`
+async function serve(t, routes, requests = []) {
+    const server = createServer((req, resp) => {
+        const route = routes[req.url];
+        let status = 200;
+        if (route === undefined) {
+            status = 404;
+        } else if (route.etag !== undefined && req.headers["if-none-match"] === route.etag) {
+            status = 304;
+        }
+        requests.push(`${req.url} ${status}`);
+        if (status !== 200) {
+            resp.writeHead(status).end();
+            return;
+        }
+        resp.writeHead(200, { "Content-Type": route.contentType, ...(route.etag !== undefined ? { ETag: route.etag } : {}) }).end(route.body);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function artFiles(siteDir) {
+    return fs.readdirSync(path.join(siteDir, "art")).filter((file) => file !== "manifest.json").sort();
+}
+
+test("art next to the config is resized into the site, and mods.json points at the copy", async (t) => {
+    const { configDir, siteDir } = tempDirs(t, { "cover.jpg": await blankImage(2400, 1500, "jpeg"), "thumbnail.png": await blankImage(640, 800) });
+    const mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let entry = { coverArtUrl: "./cover.jpg", thumbnailArtUrl: "thumbnail.png" };
+    await mirror.mirrorEntry("mod", entry);
+    mirror.save();
+
+    assert.match(entry.coverArtUrl, /^https:\/\/mods\.example\.org\/art\/cover-[0-9a-f]{16}\.jpg$/);
+    assert.match(entry.thumbnailArtUrl, /^https:\/\/mods\.example\.org\/art\/thumbnail-[0-9a-f]{16}\.png$/);
+    // only remote art has an original to fall back on
+    assert.equal(entry.coverArtFallbackUrl, undefined);
+    const cover = await sharp(path.join(siteDir, "art", path.basename(entry.coverArtUrl))).metadata();
+    assert.deepEqual([cover.format, cover.width, cover.height], ["jpeg", 1600, 1000]);
+    const thumbnail = await sharp(path.join(siteDir, "art", path.basename(entry.thumbnailArtUrl))).metadata();
+    assert.deepEqual([thumbnail.format, thumbnail.width, thumbnail.height], ["png", 320, 400]);
+});
+
+test("art next to the config that can't be used is an error", async (t) => {
+    const { configDir, siteDir } = tempDirs(t, { "cover.png": "not an image", "cover.tiff": await blankImage(1600, 1000, "tiff") });
+    const mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    await assert.rejects(mirror.mirrorEntry("mod", { coverArtUrl: "cover.png" }), /cover art 'cover.png' is unusable, not a readable image/);
+    await assert.rejects(mirror.mirrorEntry("mod", { coverArtUrl: "cover.tiff" }), /'tiff' images aren't supported/);
+    await assert.rejects(mirror.mirrorEntry("mod", { coverArtUrl: "missing.png" }), /couldn't read cover art 'missing.png'/);
+});
+
+test("per-game art is mirrored too, and art of the wrong shape is still mirrored", async (t) => {
+    const { configDir, siteDir } = tempDirs(t, { "small.png": await blankImage(100, 100) });
+    const mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let entry = { perGameConfig: { jak1: { thumbnailArtUrl: "small.png" }, jak2: {} } };
+    await mirror.mirrorEntry("mod", entry);
+    mirror.save();
+    assert.match(entry.perGameConfig.jak1.thumbnailArtUrl, /^https:\/\/mods\.example\.org\/art\/thumbnail-[0-9a-f]{16}\.png$/);
+    assert.deepEqual(entry.perGameConfig.jak2, {});
+    assert.deepEqual(artFiles(siteDir), [path.basename(entry.perGameConfig.jak1.thumbnailArtUrl)]);
+});
+
+test("remote art is mirrored with the original as a fallback, and only fetched again if it changed", async (t) => {
+    const { configDir, siteDir } = tempDirs(t);
+    let requests = [];
+    const serverUrl = await serve(t, { "/thumbnail.png": { contentType: "image/png", body: await blankImage(320, 400), etag: "\"v1\"" } }, requests);
+    const source = `${serverUrl}/thumbnail.png`;
+
+    let mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let entry = { thumbnailArtUrl: source };
+    await mirror.mirrorEntry("mod", entry);
+    mirror.save();
+    assert.match(entry.thumbnailArtUrl, /^https:\/\/mods\.example\.org\/art\/thumbnail-[0-9a-f]{16}\.png$/);
+    assert.equal(entry.thumbnailArtFallbackUrl, source);
+
+    mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let again = { thumbnailArtUrl: source };
+    await mirror.mirrorEntry("mod", again);
+    mirror.save();
+    assert.deepEqual(again, entry);
+    assert.deepEqual(requests, ["/thumbnail.png 200", "/thumbnail.png 304"]);
+});
+
+test("remote art that can't be mirrored is published as-is, or from the copy mirrored before", async (t) => {
+    const { configDir, siteDir } = tempDirs(t);
+    let routes = { "/thumbnail.png": { contentType: "image/png", body: await blankImage(320, 400) } };
+    const serverUrl = await serve(t, routes);
+
+    const page = { thumbnailArtUrl: `${serverUrl}/page.html` };
+    routes["/page.html"] = { contentType: "text/html", body: "<html></html>" };
+    let mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    await mirror.mirrorEntry("mod", page);
+    assert.deepEqual(page, { thumbnailArtUrl: `${serverUrl}/page.html` });
+
+    let entry = { thumbnailArtUrl: `${serverUrl}/thumbnail.png` };
+    await mirror.mirrorEntry("mod", entry);
+    mirror.save();
+
+    delete routes["/thumbnail.png"];
+    mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let gone = { thumbnailArtUrl: `${serverUrl}/thumbnail.png` };
+    await mirror.mirrorEntry("mod", gone);
+    mirror.save();
+    assert.deepEqual(gone, entry);
+    assert.deepEqual(artFiles(siteDir), [path.basename(entry.thumbnailArtUrl)]);
+});
+
+test("without fetching, remote art is only served from copies mirrored before", async (t) => {
+    const { configDir, siteDir } = tempDirs(t);
+    const serverUrl = await serve(t, { "/thumbnail.png": { contentType: "image/png", body: await blankImage(320, 400) } });
+    let mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let entry = { thumbnailArtUrl: `${serverUrl}/thumbnail.png` };
+    await mirror.mirrorEntry("mod", entry);
+    mirror.save();
+
+    mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir, fetchRemote: false });
+    let mirrored = { thumbnailArtUrl: `${serverUrl}/thumbnail.png` };
+    let never = { thumbnailArtUrl: `${serverUrl}/never.png` };
+    await mirror.mirrorEntry("mod", mirrored);
+    await mirror.mirrorEntry("other", never);
+    assert.deepEqual(mirrored, entry);
+    assert.deepEqual(never, { thumbnailArtUrl: `${serverUrl}/never.png` });
+});
+
+test("saving removes the copies nothing refers to anymore, unless it's told not to prune", async (t) => {
+    const { configDir, siteDir } = tempDirs(t, { "a.png": await blankImage(320, 400), "b.png": await blankImage(640, 800) });
+    let mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    let a = { thumbnailArtUrl: "a.png" };
+    let b = { thumbnailArtUrl: "b.png" };
+    await mirror.mirrorEntry("a", a);
+    await mirror.mirrorEntry("b", b);
+    mirror.save();
+    assert.equal(artFiles(siteDir).length, 2);
+
+    // a run that only looked at `a`
+    mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    await mirror.mirrorEntry("a", { thumbnailArtUrl: "a.png" });
+    mirror.save({ prune: false });
+    assert.deepEqual(artFiles(siteDir), [path.basename(a.thumbnailArtUrl), path.basename(b.thumbnailArtUrl)].sort());
+
+    mirror = createArtMirror({ siteDir: siteDir, siteUrl: SITE_URL, configDir: configDir });
+    await mirror.mirrorEntry("a", { thumbnailArtUrl: "a.png" });
+    mirror.save();
+    assert.deepEqual(artFiles(siteDir), [path.basename(a.thumbnailArtUrl)]);
+});
@@ -0,0 +1,104 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { DEFAULT_MOD_ASSET_RULES, compileAssetRules, matchAssets } from "../asset-matching.js";
+import { contentTypes } from "../content-types.js";
+
+// `{ <slot>: <asset name> }` of what matched, along with the names of the assets that didn't
+function matchNames(compiledRules, names) {
+    const { matched, unmatched, ambiguous } = matchAssets(compiledRules, names.map((name) => ({ name: name })));
+    return {
+        matched: Object.fromEntries(Object.entries(matched).map(([slot, { asset }]) => [slot, asset.name])),
+        unmatched: unmatched.map((asset) => asset.name),
+        ambiguous: ambiguous.map(({ slot, asset, winner }) => ({ slot: slot, asset: asset.name, winner: winner.name }))
+    };
+}
+
+test("the default rules leave checksums and signatures next to the archives alone", () => {
+    const result = matchNames(compileAssetRules(DEFAULT_MOD_ASSET_RULES), [
+        "windows-v1.0.0.zip.sha256",
+        "windows-v1.0.0.zip",
+        "linux-v1.0.0.tar.gz.sig",
+        "linux-v1.0.0.tar.gz",
+        "macos-arm64-v1.0.0.tgz.asc",
+        "macos-arm64-v1.0.0.tgz",
+        "macos-v1.0.0.tar"
+    ]);
+    assert.deepEqual(result, {
+        matched: {
+            "windows-x86_64": "windows-v1.0.0.zip",
+            "linux-x86_64": "linux-v1.0.0.tar.gz",
+            "macos-arm64": "macos-arm64-v1.0.0.tgz",
+            "macos-x86_64": "macos-v1.0.0.tar"
+        },
+        unmatched: ["windows-v1.0.0.zip.sha256", "linux-v1.0.0.tar.gz.sig", "macos-arm64-v1.0.0.tgz.asc"],
+        ambiguous: []
+    });
+});
+
+test("the default rules tell the architectures apart, whatever the case", () => {
+    const result = matchNames(compileAssetRules(DEFAULT_MOD_ASSET_RULES), [
+        "Windows-ARM64-v1.0.0.zip",
+        "windows-v1.0.0.zip",
+        "linux-aarch64-v1.0.0.tar.gz",
+        "LINUX-v1.0.0.tar.gz",
+        "macos-apple-v1.0.0.tar.gz",
+        "macos-intel-v1.0.0.tar.gz",
+        "source.zip"
+    ]);
+    assert.deepEqual(result, {
+        matched: {
+            "windows-arm64": "Windows-ARM64-v1.0.0.zip",
+            "windows-x86_64": "windows-v1.0.0.zip",
+            "linux-arm64": "linux-aarch64-v1.0.0.tar.gz",
+            "linux-x86_64": "LINUX-v1.0.0.tar.gz",
+            "macos-arm64": "macos-apple-v1.0.0.tar.gz",
+            "macos-x86_64": "macos-intel-v1.0.0.tar.gz"
+        },
+        unmatched: ["source.zip"],
+        ambiguous: []
+    });
+});
+
+test("the first asset in a slot wins, the others are ambiguous", () => {
+    const result = matchNames(compileAssetRules(DEFAULT_MOD_ASSET_RULES), ["windows-v1.0.0.zip", "windows-v1.0.0-debug.zip", "linux-arm64-v1.0.0.tar.gz", "linux-aarch64-v1.0.0.tar.gz"]);
+    assert.deepEqual(result.matched, { "windows-x86_64": "windows-v1.0.0.zip", "linux-arm64": "linux-arm64-v1.0.0.tar.gz" });
+    assert.deepEqual(result.ambiguous, [
+        { slot: "windows-x86_64", asset: "windows-v1.0.0-debug.zip", winner: "windows-v1.0.0.zip" },
+        { slot: "linux-arm64", asset: "linux-aarch64-v1.0.0.tar.gz", winner: "linux-arm64-v1.0.0.tar.gz" }
+    ]);
+});
+
+test("the first rule that matches an asset wins, even if a later one is more specific", () => {
+    const rules = [
+        { platform: "windows", arch: "x86_64", glob: "*-windows.zip" },
+        { platform: "windows", arch: "arm64", glob: "*-arm64-windows.zip" }
+    ];
+    assert.deepEqual(matchNames(compileAssetRules(rules), ["mod-arm64-windows.zip"]).matched, { "windows-x86_64": "mod-arm64-windows.zip" });
+    assert.deepEqual(matchNames(compileAssetRules([...rules].reverse()), ["mod-arm64-windows.zip", "mod-windows.zip"]).matched, {
+        "windows-arm64": "mod-arm64-windows.zip",
+        "windows-x86_64": "mod-windows.zip"
+    });
+});
+
+test("globs only treat `*` and `?` as wildcards, regexes are used as they are", () => {
+    const globRules = [{ slot: "download", glob: "pack (v?).zip" }];
+    assert.deepEqual(matchNames(compileAssetRules(globRules), ["pack (v1).zip"]).matched, { download: "pack (v1).zip" });
+    assert.deepEqual(matchNames(compileAssetRules(globRules), ["pack (v12).zip", "pack (v1)xzip", "my pack (v1).zip"]).unmatched, ["pack (v12).zip", "pack (v1)xzip", "my pack (v1).zip"]);
+    const regexRules = [{ platform: "linux", arch: "x86_64", regex: "linux.*\\.appimage$" }];
+    assert.deepEqual(matchNames(compileAssetRules(regexRules), ["mod-linux-v1.AppImage", "mod-linux-v1.AppImage.zsync"]), {
+        matched: { "linux-x86_64": "mod-linux-v1.AppImage" },
+        unmatched: ["mod-linux-v1.AppImage.zsync"],
+        ambiguous: []
+    });
+    assert.throws(() => compileAssetRules([{ platform: "linux", arch: "x86_64", regex: "linux-(" }]));
+});
+
+test("an entry's rules replace the config's, which replace the defaults", () => {
+    const mod = contentTypes.find((contentType) => contentType.sourceKey === "mods");
+    const configRules = [{ platform: "linux", arch: "x86_64", glob: "*.AppImage" }];
+    const entryRules = [{ platform: "windows", arch: "x86_64", glob: "*.exe" }];
+    const names = ["windows-v1.0.0.zip", "mod.AppImage", "mod.exe"];
+    assert.deepEqual(matchNames(mod.assetRules({}, undefined), names).matched, { "windows-x86_64": "windows-v1.0.0.zip" });
+    assert.deepEqual(matchNames(mod.assetRules({}, configRules), names).matched, { "linux-x86_64": "mod.AppImage" });
+    assert.deepEqual(matchNames(mod.assetRules({ asset_matching: entryRules }, configRules), names).matched, { "windows-x86_64": "mod.exe" });
+});
@@ -0,0 +1,197 @@
+import assert from "assert/strict";
+import { spawnSync } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { test } from "node:test";
+import sharp from "sharp";
+import { fileURLToPath } from "url";
+
+// Builds the mod source in `fixtures/` (local releases, so no network is needed) and compares it with the expected
+// mods.json and mods.v2.json in `fixtures/expected/`. When a change to the generator is meant to change the output,
+// run `UPDATE_EXPECTED=1 npm test` to rewrite the expected files, and check their diff like any other change.
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const GENERATOR_PATH = path.resolve(TEST_DIR, "../index.js");
+const CONFIG_PATH = path.join(TEST_DIR, "fixtures/config.yaml");
+const EXPECTED_DIR = path.join(TEST_DIR, "fixtures/expected");
+const OUTPUT_FILES = ["mods.json", "mods.v2.json"];
+
+// Runs the generator in a fresh working directory, so the release cache, download history and changelog it writes
+// don't end up in the repo, returns the exit code, what it printed and the directory mods.json was written to.
+// `prepare(workDir, siteDir)` can set up the site beforehand, and return another config to use instead of the fixtures'
+function runGenerator(t, args, { prepare = () => { }, env = {} } = {}) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "mod-source-test-"));
+    t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+    const siteDir = path.join(workDir, "site");
+    fs.mkdirSync(siteDir);
+    const configPath = prepare(workDir, siteDir) ?? CONFIG_PATH;
+    const result = spawnSync(process.execPath, [GENERATOR_PATH, ...args, "--config", configPath, "--output", path.join(siteDir, "mods.json"), "--skip-art-checks", "--quiet"], {
+        cwd: workDir,
+        encoding: "utf8",
+        env: { ...process.env, GITHUB_ACTIONS: "", ...env },
+        timeout: 60 * 1000
+    });
+    if (result.error !== undefined) {
+        throw result.error;
+    }
+    return { status: result.status, stdout: result.stdout, output: result.stdout + result.stderr, siteDir: siteDir };
+}
+
+// Sets up the site with the expected output, as if it had been published before
+function publishExpected(workDir, siteDir) {
+    for (const fileName of OUTPUT_FILES) {
+        fs.copyFileSync(path.join(EXPECTED_DIR, fileName), path.join(siteDir, fileName));
+    }
+}
+
+// The fixture config with a warning in it (a website that isn't served over https), written next to the site
+function configWithWarning(workDir) {
+    const configPath = path.join(workDir, "config.yaml");
+    const config = fs.readFileSync(CONFIG_PATH).toString()
+        .replace("path: \"./releases\"", `path: ${JSON.stringify(path.join(TEST_DIR, "fixtures/releases"))}`)
+        .replace("website_url: \"https://", "website_url: \"http://");
+    fs.writeFileSync(configPath, config);
+    return configPath;
+}
+
+function withoutLastUpdated(contents) {
+    return contents.replace(/"lastUpdated": "[^"]*"/, "\"lastUpdated\": \"\"");
+}
+
+test("a build of the fixtures matches the expected output", (t) => {
+    const { status, output, siteDir } = runGenerator(t, ["build"]);
+    assert.equal(status, 0, output);
+    for (const fileName of OUTPUT_FILES) {
+        const contents = fs.readFileSync(path.join(siteDir, fileName)).toString();
+        if (process.env["UPDATE_EXPECTED"]) {
+            fs.mkdirSync(EXPECTED_DIR, { recursive: true });
+            fs.writeFileSync(path.join(EXPECTED_DIR, fileName), contents);
+            continue;
+        }
+        const expected = fs.readFileSync(path.join(EXPECTED_DIR, fileName)).toString();
+        assert.equal(withoutLastUpdated(contents), withoutLastUpdated(expected), `${fileName} differs from fixtures/expected/${fileName}`);
+    }
+});
+
+test("building over the expected output changes nothing", (t) => {
+    const { status, output, siteDir } = runGenerator(t, ["build"], { prepare: publishExpected });
+    assert.equal(status, 3, output);
+    for (const fileName of OUTPUT_FILES) {
+        assert.equal(fs.readFileSync(path.join(siteDir, fileName)).toString(), fs.readFileSync(path.join(EXPECTED_DIR, fileName)).toString(), `${fileName} was rewritten`);
+    }
+});
+
+test("the fixture config and the expected output lint clean", (t) => {
+    const { status, output } = runGenerator(t, ["lint"], { prepare: publishExpected });
+    assert.equal(status, 0, output);
+});
+
+test("--dry-run only prints mods.json, even with annotations for GitHub Actions", (t) => {
+    const { status, stdout, output } = runGenerator(t, ["build", "--dry-run"], {
+        prepare: configWithWarning,
+        env: { GITHUB_ACTIONS: "true" }
+    });
+    assert.equal(status, 0, output);
+    assert.match(output, /::warning file=/);
+    assert.equal(JSON.parse(stdout).sourceName, "Test Fixtures");
+});
+
+// A config whose only entry is healthy (a fresh release with a download for every platform, no website to check),
+// but has a warning of its own (art that isn't served over https)
+function healthyConfigWithWarning(workDir) {
+    const fixtureRelease = path.join(TEST_DIR, "fixtures/releases/fixture-author/sample-mod/v1.0.0");
+    const releaseDir = path.join(workDir, "releases/fixture-author/fresh-mod/v1.0.0");
+    fs.mkdirSync(releaseDir, { recursive: true });
+    for (const fileName of ["windows-v1.0.0.zip", "linux-v1.0.0.tar.gz", "macos-intel-v1.0.0.tar.gz", "metadata.json"]) {
+        fs.copyFileSync(path.join(fixtureRelease, fileName), path.join(releaseDir, fileName));
+    }
+    fs.writeFileSync(path.join(releaseDir, "release.json"), JSON.stringify({ published_at: (new Date()).toISOString() }));
+    const configPath = path.join(workDir, "config.yaml");
+    fs.writeFileSync(configPath, [
+        "metadata:",
+        "  name: \"Test Fixtures\"",
+        "providers:",
+        "  fixtures:",
+        "    type: local",
+        "    path: \"./releases\"",
+        "mods:",
+        "  fresh-mod:",
+        "    provider: fixtures",
+        "    repo_owner: \"fixture-author\"",
+        "    repo_name: \"fresh-mod\"",
+        "    display_name: \"Fresh Mod\"",
+        "    description: \"Released today.\"",
+        "    authors: [\"fixture-author\"]",
+        "    tags: [\"gameplay-mod\"]",
+        "    cover_art_url: \"http://mods.example.org/art/fresh-mod-cover.png\"",
+        "    thumbnail_art_url: \"http://mods.example.org/art/fresh-mod-thumbnail.png\"",
+        ""
+    ].join("\n"));
+    return configPath;
+}
+
+test("health prints nothing when every entry is healthy, even with config warnings", (t) => {
+    const { status, stdout, output } = runGenerator(t, ["health"], {
+        prepare: healthyConfigWithWarning,
+        env: { GITHUB_ACTIONS: "true" }
+    });
+    assert.equal(status, 0, output);
+    assert.match(output, /insecure-url/);
+    assert.equal(stdout, "");
+});
+
+test("health prints only the report", (t) => {
+    const { status, stdout, output } = runGenerator(t, ["health"], {
+        prepare: configWithWarning,
+        env: { GITHUB_ACTIONS: "true" }
+    });
+    assert.equal(status, 0, output);
+    assert.match(stdout, /^## Mod list health\n/);
+    assert.doesNotMatch(stdout, /::warning|insecure-url/);
+});
+
+// A blank image of the given size, as a png
+async function blankImage(width, height) {
+    return await sharp({ create: { width: width, height: height, channels: 3, background: "#336699" } }).png().toBuffer();
+}
+
+test("mods.json links the mirrored art absolutely, the site's pages relatively", async (t) => {
+    const cover = await blankImage(1600, 1000);
+    const thumbnail = await blankImage(320, 400);
+    const { status, output, siteDir } = runGenerator(t, ["build"], {
+        prepare: (workDir) => {
+            fs.writeFileSync(path.join(workDir, "cover.png"), cover);
+            fs.writeFileSync(path.join(workDir, "thumbnail.png"), thumbnail);
+            const configPath = configWithWarning(workDir);
+            fs.writeFileSync(configPath, fs.readFileSync(configPath).toString()
+                .replace("\"https://mods.example.org/art/sample-mod-cover.png\"", "\"./cover.png\"")
+                .replace("\"https://mods.example.org/art/sample-mod-thumbnail.png\"", "\"./thumbnail.png\""));
+            return configPath;
+        }
+    });
+    assert.equal(status, 0, output);
+    const entry = JSON.parse(fs.readFileSync(path.join(siteDir, "mods.json")).toString()).mods["sample-mod"];
+    assert.match(entry.coverArtUrl, /^https:\/\/mods\.example\.org\/art\/cover-[0-9a-f]{16}\.jpg$/);
+    assert.match(entry.thumbnailArtUrl, /^https:\/\/mods\.example\.org\/art\/thumbnail-[0-9a-f]{16}\.png$/);
+    const artFile = entry.coverArtUrl.substring(entry.coverArtUrl.lastIndexOf("/") + 1);
+    assert.ok(fs.existsSync(path.join(siteDir, "art", artFile)), `${artFile} wasn't mirrored`);
+    const page = fs.readFileSync(path.join(siteDir, "mods/sample-mod.html")).toString();
+    assert.ok(page.includes(`<img src="../art/${artFile}"`), page);
+    assert.doesNotMatch(page, /src="https:\/\/mods\.example\.org\/art\//);
+});
+
+test("building --only some entries needs an existing mods.json to take the others from", (t) => {
+    const refused = runGenerator(t, ["build", "--only", "sample-mod"]);
+    assert.equal(refused.status, 1, refused.output);
+    assert.match(refused.output, /--only keeps every other entry/);
+    assert.ok(!fs.existsSync(path.join(refused.siteDir, "mods.json")), "mods.json was written");
+
+    const dryRun = runGenerator(t, ["build", "--only", "sample-mod", "--dry-run"]);
+    assert.equal(dryRun.status, 0, dryRun.output);
+    assert.deepEqual(Object.keys(JSON.parse(dryRun.stdout).mods), ["sample-mod"]);
+
+    const { status, output, siteDir } = runGenerator(t, ["build", "--only", "sample-mod"], { prepare: publishExpected });
+    assert.equal(status, 3, output);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(siteDir, "mods.json")).toString()).mods), ["sample-mod", "linked-mod"]);
+});
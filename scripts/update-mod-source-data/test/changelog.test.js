@@ -0,0 +1,93 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { diffModSources, isEmptyDiff, renderChangelogMarkdown, summarizeDiff } from "../changelog.js";
+
+// Mod source data with the given texture packs, `{ key: entry }`
+function modSourceWith(texturePacks) {
+    return { mods: {}, texturePacks: texturePacks };
+}
+
+// A texture pack with a version per version string, `yanked` maps versions to the reason they were yanked
+function texturePack(displayName, versions, { yanked = {}, tags = [] } = {}) {
+    return {
+        displayName: displayName,
+        description: "A texture pack.",
+        authors: ["someone"],
+        tags: tags,
+        supportedGames: ["jak1"],
+        versions: versions.map((version) => ({
+            version: version,
+            downloadUrl: `https://example.org/${version}/assets.zip`,
+            downloadCount: 0,
+            ...(yanked[version] !== undefined ? { yanked: { reason: yanked[version] } } : {})
+        }))
+    };
+}
+
+test("the changelog escapes names, versions and yank reasons", () => {
+    const before = modSourceWith({
+        pack: texturePack("Pack", ["1.0.0"]),
+        gone: texturePack("<b>Gone</b>", [])
+    });
+    const after = modSourceWith({
+        pack: texturePack("Pack | *bold*", ["1.0.0", "2.0.0_[rc]"], { yanked: { "1.0.0": "use `2.0.0`\n<script>" }, tags: ["#1"] }),
+        added: texturePack("[link](https://example.org)", ["<1.0>"])
+    });
+    const lines = renderChangelogMarkdown(diffModSources(before, after)).split("\n");
+    assert.ok(lines.includes("- **Added** `added` - \\[link\\]\\(https://example.org\\) (&lt;1.0&gt;)"), lines.join("\n"));
+    assert.ok(lines.includes("- **Removed** `gone` - &lt;b&gt;Gone&lt;/b&gt;"), lines.join("\n"));
+    assert.ok(lines.includes("- `pack` - Pack \\| \\*bold\\*: new: 2.0.0\\_\\[rc\\]; yanked: 1.0.0 (use \\`2.0.0\\` &lt;script&gt;); `displayName` changed; tags +\\#1"), lines.join("\n"));
+});
+
+test("download counts alone aren't a change", () => {
+    const before = modSourceWith({ pack: texturePack("Pack", ["1.0.0"]) });
+    const after = modSourceWith({ pack: texturePack("Pack", ["1.0.0"]) });
+    after.texturePacks.pack.versions[0].downloadCount = 100;
+    const diff = diffModSources(before, after);
+    assert.ok(isEmptyDiff(diff));
+    assert.equal(summarizeDiff(diff), "source: Updated download counts");
+});
+
+test("reports added and removed entries, and new and withdrawn versions", () => {
+    const before = modSourceWith({ pack: texturePack("Pack", ["1.0.0", "1.1.0"]), gone: texturePack("Gone", ["1.0.0"]) });
+    const after = modSourceWith({ pack: texturePack("Pack", ["1.0.0", "2.0.0"]), added: texturePack("Added", ["0.1.0"]) });
+    const diff = diffModSources(before, after);
+    assert.deepEqual(diff.texturePacks, {
+        added: [{ key: "added", displayName: "Added", versions: ["0.1.0"] }],
+        removed: [{ key: "gone", displayName: "Gone" }],
+        changed: { pack: { displayName: "Pack", newVersions: ["2.0.0"], withdrawnVersions: ["1.1.0"] } }
+    });
+    assert.deepEqual(diff.mods, { added: [], removed: [], changed: {} });
+    assert.equal(summarizeDiff(diff), "source: 1 texture pack added, 1 texture pack removed, 1 new texture pack version, 1 withdrawn texture pack version");
+});
+
+test("a newly yanked version is only reported as yanked, a changed yank reason as a changed version", () => {
+    const before = modSourceWith({ pack: texturePack("Pack", ["1.0.0", "1.1.0"], { yanked: { "1.1.0": "broken" } }) });
+    const after = modSourceWith({ pack: texturePack("Pack", ["1.0.0", "1.1.0"], { yanked: { "1.0.0": "corrupts saves", "1.1.0": "crashes on load" } }) });
+    assert.deepEqual(diffModSources(before, after).texturePacks.changed, {
+        pack: {
+            displayName: "Pack",
+            yankedVersions: [{ version: "1.0.0", reason: "corrupts saves" }],
+            changedVersions: [{ version: "1.1.0", fields: ["yanked"] }]
+        }
+    });
+});
+
+test("reports changed fields, per-game config flattened, and list changes", () => {
+    const before = modSourceWith({ pack: texturePack("Pack", [], { tags: ["textures", "hd"] }) });
+    before.texturePacks.pack.perGameConfig = { jak1: { releaseDate: "2024-01-01" } };
+    const after = modSourceWith({ pack: texturePack("Pack", [], { tags: ["textures", "retro"] }) });
+    after.texturePacks.pack.description = "A better texture pack.";
+    after.texturePacks.pack.perGameConfig = { jak1: { releaseDate: "2024-02-01" }, jak2: { thumbnailArtUrl: "https://example.org/jak2.png" } };
+    const diff = diffModSources(before, after);
+    assert.deepEqual(diff.texturePacks.changed.pack, {
+        displayName: "Pack",
+        fields: {
+            description: { from: "A texture pack.", to: "A better texture pack." },
+            "perGameConfig.jak1.releaseDate": { from: "2024-01-01", to: "2024-02-01" },
+            "perGameConfig.jak2.thumbnailArtUrl": { from: null, to: "https://example.org/jak2.png" }
+        },
+        tags: { added: ["retro"], removed: ["hd"] }
+    });
+    assert.equal(summarizeDiff(diff), "source: 1 texture pack updated");
+});
@@ -0,0 +1,74 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { compatibilityProblems, settingsProblems, unknownReferences } from "../compatibility.js";
+
+test("a version without compatibility, or with every field valid, has no problems", () => {
+    assert.deepEqual(compatibilityProblems(undefined, ["jak1"]), []);
+    assert.deepEqual(compatibilityProblems({
+        toolchainVersion: ">=0.2.10 <0.3.0",
+        launcherVersion: "^2.4.0",
+        requires: ["some-mod"],
+        incompatibleWith: ["other-mod", "some-pack"],
+        gameVersions: { jak1: ["ntsc_v1", "pal"], jak2: ["ntsc_ko"] }
+    }, ["jak1", "jak2"]), []);
+});
+
+test("compatibility has to be an object of known fields", () => {
+    assert.deepEqual(compatibilityProblems(null, ["jak1"]), [[[], "has to be an object"]]);
+    assert.deepEqual(compatibilityProblems([">=0.2.10"], ["jak1"]), [[[], "has to be an object"]]);
+    assert.deepEqual(compatibilityProblems({ minToolchainVersion: "0.2.10" }, ["jak1"]), [[["minToolchainVersion"], "is not a known compatibility field"]]);
+});
+
+test("toolchain and launcher versions have to be semver ranges", () => {
+    assert.deepEqual(compatibilityProblems({ toolchainVersion: "at least 0.2", launcherVersion: 2 }, ["jak1"]), [
+        [["toolchainVersion"], "'at least 0.2' is not a valid semver range"],
+        [["launcherVersion"], "'2' is not a valid semver range"]
+    ]);
+});
+
+test("requires and incompatibleWith have to be lists of keys", () => {
+    assert.deepEqual(compatibilityProblems({ requires: "some-mod", incompatibleWith: [1] }, ["jak1"]), [
+        [["requires"], "has to be a list of entry keys"],
+        [["incompatibleWith"], "has to be a list of entry keys"]
+    ]);
+});
+
+test("game versions have to be known versions of supported games", () => {
+    assert.deepEqual(compatibilityProblems({ gameVersions: ["ntsc_v1"] }, ["jak1"]), [[["gameVersions"], "has to map games to lists of game versions"]]);
+    assert.deepEqual(compatibilityProblems({ gameVersions: { jak1: ["ntsc_v1", "ntsc_ko"], jak2: ["pal"], jak3: "pal" } }, ["jak1", "jak3"]), [
+        [["gameVersions", "jak1"], "'ntsc_ko' is not a known version of jak1 (ntsc_v1, ntsc_v2, pal, ntsc_jp)"],
+        [["gameVersions", "jak2"], "lists versions of 'jak2', which isn't a supported game"],
+        [["gameVersions", "jak3"], "has to be a list of game versions"]
+    ]);
+});
+
+test("the decomp config override has to be a version of one of the supported games", () => {
+    assert.deepEqual(settingsProblems(undefined, ["jak1"]), []);
+    assert.deepEqual(settingsProblems({ decompConfigOverride: "" }, ["jak1"]), []);
+    assert.deepEqual(settingsProblems({ decompConfigOverride: "pal" }, ["jak1"]), []);
+    assert.deepEqual(settingsProblems({ decompConfigOverride: "ntsc_ko" }, ["jak2"]), []);
+    assert.deepEqual(settingsProblems({ decompConfigOverride: "ntsc_ko" }, ["jak1"]), [[["decompConfigOverride"], "'ntsc_ko' is not a known game version (ntsc_v1, ntsc_v2, pal, ntsc_jp)"]]);
+    assert.deepEqual(settingsProblems({ decompConfigOverride: "jak1_pal" }, ["jak1", "jakx"]), [[["decompConfigOverride"], "'jak1_pal' is not a known game version (ntsc_v1, ntsc_v2, pal, ntsc_jp)"]]);
+});
+
+test("references to entries that aren't listed are found across mods and texture packs", () => {
+    const modSourceData = {
+        mods: {
+            "some-mod": {
+                versions: [
+                    { version: "1.0.0", compatibility: { requires: ["some-pack"] } },
+                    { version: "1.1.0", compatibility: { requires: ["gone-pack"], incompatibleWith: ["other-mod"] } }
+                ]
+            },
+            "other-mod": { versions: [{ version: "1.0.0" }] }
+        },
+        texturePacks: {
+            "some-pack": { versions: [{ version: "1.0.0", compatibility: { incompatibleWith: ["missing-mod"] } }] }
+        }
+    };
+    assert.deepEqual(unknownReferences(modSourceData), [
+        { sourceKey: "mods", key: "some-mod", index: 1, version: "1.1.0", field: "requires", reference: "gone-pack" },
+        { sourceKey: "texturePacks", key: "some-pack", index: 0, version: "1.0.0", field: "incompatibleWith", reference: "missing-mod" }
+    ]);
+    assert.deepEqual(unknownReferences(modSourceData, ["some-mod", "gone-pack", "missing-mod"]).map((reference) => reference.reference), ["some-pack", "other-mod"]);
+});
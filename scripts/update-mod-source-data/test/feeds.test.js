@@ -0,0 +1,34 @@
+import assert from "assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { test } from "node:test";
+import { writeFeeds } from "../feeds.js";
+import { pagePaths } from "../site.js";
+
+// Mod source data with one texture pack per key, `{ key: tags }`, each with a single release
+function modSourceWith(tags) {
+    return {
+        sourceName: "Test",
+        mods: {},
+        texturePacks: Object.fromEntries(Object.entries(tags).map(([key, entryTags]) => [key, {
+            displayName: key,
+            description: "A texture pack.",
+            authors: ["someone"],
+            tags: entryTags,
+            supportedGames: ["jak1"],
+            versions: [{ version: "1.0.0", publishedDate: "2024-01-01T00:00:00Z", supportedGames: ["jak1"], downloadUrl: `https://example.org/${key}.zip`, downloadCount: 0 }]
+        }]))
+    };
+}
+
+test("the feeds list the same entries as the site", (t) => {
+    const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), "feeds-test-"));
+    t.after(() => fs.rmSync(siteDir, { recursive: true, force: true }));
+    const modSourceData = modSourceWith({ listed: ["textures"], hidden: ["textures", "hidden"], external: ["textures", "external"] });
+    const written = writeFeeds(modSourceData, siteDir, "https://example.org");
+    const feed = JSON.parse(fs.readFileSync(path.join(siteDir, "feed.json")).toString());
+    assert.deepEqual(feed.items.map((item) => item.title), ["listed 1.0.0"]);
+    assert.deepEqual(Object.keys(pagePaths(modSourceData).texturePacks), ["listed"]);
+    assert.deepEqual(written, ["feeds/jak1", "feeds/jak2", "feeds/jak3", "feeds/tag-textures"]);
+});
@@ -0,0 +1,89 @@
+import assert from "assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { test } from "node:test";
+import { loadDownloadHistory } from "../history.js";
+import { buildStats } from "../stats.js";
+
+// Mod source data with one texture pack per count, `{ key: count }`
+function modSourceWith(counts) {
+    return {
+        mods: {},
+        texturePacks: Object.fromEntries(Object.entries(counts).map(([key, count]) => [key, {
+            displayName: key,
+            tags: [],
+            versions: [{ version: "1.0.0", downloadUrl: `https://example.org/${key}.zip`, downloadCount: count }]
+        }]))
+    };
+}
+
+function historyPath(t) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    return path.join(tempDir, "download-history.jsonl");
+}
+
+function readLines(filePath) {
+    return fs.readFileSync(filePath).toString().split("\n").filter((line) => line !== "").map((line) => JSON.parse(line));
+}
+
+test("only records the counts that went up", (t) => {
+    const filePath = historyPath(t);
+    const history = loadDownloadHistory(filePath);
+    history.record(modSourceWith({ a: 10, b: 10 }), { timestamp: "2024-01-01T00:00:00.000Z" });
+    assert.equal(history.record(modSourceWith({ a: 10, b: 10 }), { timestamp: "2024-01-01T04:00:00.000Z" }), undefined);
+    const snapshot = history.record(modSourceWith({ a: 12, b: 10 }), { timestamp: "2024-01-01T08:00:00.000Z" });
+    assert.deepEqual(snapshot.counts, { texturePacks: { a: { "1.0.0": { download: 12 } } } });
+});
+
+test("never moves a count backwards", (t) => {
+    const filePath = historyPath(t);
+    const history = loadDownloadHistory(filePath);
+    history.record(modSourceWith({ a: 10, b: 10 }), { timestamp: "2024-01-01T00:00:00.000Z" });
+    const snapshot = history.record(modSourceWith({ a: 5, b: 11 }), { timestamp: "2024-01-02T00:00:00.000Z" });
+    assert.deepEqual(snapshot.counts, { texturePacks: { b: { "1.0.0": { download: 11 } } } });
+    assert.equal(history.record(modSourceWith({ a: 5, b: 11 }), { timestamp: "2024-01-03T00:00:00.000Z" }), undefined);
+});
+
+test("leaves the counts of carried over entries alone", (t) => {
+    const filePath = historyPath(t);
+    const history = loadDownloadHistory(filePath);
+    history.record(modSourceWith({ a: 10 }), { timestamp: "2024-01-01T00:00:00.000Z" });
+    const snapshot = history.record(modSourceWith({ a: 20, b: 3 }), { carriedOver: ["a"], timestamp: "2024-01-02T00:00:00.000Z" });
+    assert.deepEqual(snapshot.counts, { texturePacks: { b: { "1.0.0": { download: 3 } } } });
+    // and an entry that's new and carried over isn't recorded at all
+    assert.equal(history.record(modSourceWith({ c: 1 }), { carriedOver: ["c"], timestamp: "2024-01-03T00:00:00.000Z" }), undefined);
+});
+
+test("only ever appends to the file, and picks up where it left off", (t) => {
+    const filePath = historyPath(t);
+    let history = loadDownloadHistory(filePath);
+    history.record(modSourceWith({ a: 1 }), { timestamp: "2024-01-01T00:00:00.000Z" });
+    history.record(modSourceWith({ a: 2 }), { timestamp: "2024-01-01T04:00:00.000Z" });
+    const before = fs.readFileSync(filePath).toString();
+
+    history = loadDownloadHistory(filePath);
+    assert.equal(history.record(modSourceWith({ a: 2 }), { timestamp: "2024-01-01T08:00:00.000Z" }), undefined);
+    history.record(modSourceWith({ a: 3 }), { timestamp: "2024-01-01T12:00:00.000Z" });
+    const after = fs.readFileSync(filePath).toString();
+    assert.ok(after.startsWith(before));
+    assert.deepEqual(readLines(filePath).map((snapshot) => snapshot.timestamp), ["2024-01-01T00:00:00.000Z", "2024-01-01T04:00:00.000Z", "2024-01-01T12:00:00.000Z"]);
+});
+
+test("a file that can't be read is an error", (t) => {
+    const filePath = historyPath(t);
+    fs.writeFileSync(filePath, "{\"timestamp\": \"2024-01-01T00:00:00.000Z\", \"counts\": {}}\nnot json\n");
+    assert.throws(() => loadDownloadHistory(filePath), /:2: not a valid snapshot/);
+});
+
+test("the stats keep one point per day, the day's last counts", (t) => {
+    const filePath = historyPath(t);
+    const history = loadDownloadHistory(filePath);
+    history.record(modSourceWith({ a: 1 }), { timestamp: "2024-01-01T00:00:00.000Z" });
+    history.record(modSourceWith({ a: 4 }), { timestamp: "2024-01-02T00:00:00.000Z" });
+    history.record(modSourceWith({ a: 6 }), { timestamp: "2024-01-02T12:00:00.000Z" });
+    const stats = buildStats(modSourceWith({ a: 6 }), history.snapshots);
+    assert.deepEqual(stats.entries.find((entry) => entry.key === "a").history, [["2024-01-01", 1], ["2024-01-02", 6]]);
+    assert.equal(stats.total, 6);
+});
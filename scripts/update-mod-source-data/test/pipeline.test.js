@@ -0,0 +1,80 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { contentTypes } from "../content-types.js";
+import { setLogLevel } from "../log.js";
+import { buildSourceEntry } from "../pipeline.js";
+
+// Builds texture packs (no metadata.json needed) from releases handed over as they are, with nothing cached or checked
+
+setLogLevel("error");
+
+const texturePack = contentTypes.find((contentType) => contentType.sourceKey === "texturePacks");
+
+// A release of the given tag with an `assets.zip`, `prerelease` is the provider's flag
+function release(tag, { prerelease = false } = {}) {
+    return {
+        tag_name: tag,
+        published_at: "2024-01-01T00:00:00Z",
+        prerelease: prerelease,
+        assets: [{ name: "assets.zip", browser_download_url: `https://example.org/${tag}/assets.zip`, download_count: 0 }]
+    };
+}
+
+// The versions built for `releases` as `{ <version>: { channel, yanked } }`, `config` is added to the entry's config
+async function buildVersions(releases, config = {}) {
+    const provider = {
+        type: "test",
+        websiteUrl: () => undefined,
+        listReleases: async () => releases
+    };
+    const modInfo = {
+        display_name: "Pack",
+        description: "A texture pack.",
+        authors: ["someone"],
+        tags: [],
+        supported_games: ["jak1"],
+        thumbnail_art_url: "https://example.org/thumbnail.png",
+        ...config
+    };
+    const entry = await buildSourceEntry("pack", modInfo, texturePack, { provider: provider });
+    return Object.fromEntries(entry.versions.map((version) => [version.version, { channel: version.channel, yanked: version.yanked }]));
+}
+
+test("tags that aren't semantic versions are skipped, with or without a leading v", async () => {
+    const versions = await buildVersions([release("v1.0.0"), release("1.1.0"), release("latest"), release("v1.2")]);
+    assert.deepEqual(Object.keys(versions), ["1.0.0", "1.1.0"]);
+});
+
+test("ignore_versions takes semver ranges, prereleases included", async () => {
+    const releases = ["v0.9.0", "v1.0.0", "v1.1.0", "v2.0.0", "v2.0.1", "v2.1.0-beta.1", "v2.1.0"].map((tag) => release(tag));
+    assert.deepEqual(Object.keys(await buildVersions(releases, { ignore_versions: ["<1.0.0"] })), ["1.0.0", "1.1.0", "2.0.0", "2.0.1", "2.1.0-beta.1", "2.1.0"]);
+    // the betas of 2.1.0 come before it
+    assert.deepEqual(Object.keys(await buildVersions(releases, { ignore_versions: ["1.1.0", ">=2.0.0 <2.1.0"] })), ["0.9.0", "1.0.0", "2.1.0"]);
+    assert.deepEqual(Object.keys(await buildVersions(releases, { ignore_versions: ["^2.0.0"] })), ["0.9.0", "1.0.0", "1.1.0"]);
+    assert.deepEqual(Object.keys(await buildVersions(releases, { ignore_versions: ["<=1.0.0", "2.x"] })), ["1.1.0"]);
+});
+
+test("prerelease tags and the provider's prerelease flag make a beta, anything else is stable", async () => {
+    const versions = await buildVersions([release("v1.0.0"), release("v1.1.0-rc.1"), release("v1.1.0", { prerelease: true })]);
+    assert.deepEqual(Object.fromEntries(Object.entries(versions).map(([version, { channel }]) => [version, channel])), {
+        "1.0.0": "stable",
+        "1.1.0-rc.1": "beta",
+        "1.1.0": "beta"
+    });
+});
+
+test("every version of an entry on the beta channel is a beta", async () => {
+    const versions = await buildVersions([release("v1.0.0"), release("v2.0.0")], { channel: "beta" });
+    assert.deepEqual(Object.values(versions).map(({ channel }) => channel), ["beta", "beta"]);
+});
+
+test("yanked versions stay listed with their reason", async () => {
+    const versions = await buildVersions([release("v1.0.0"), release("v1.0.1"), release("v1.1.0-beta.1")], {
+        yanked: { "1.0.0": "corrupts save files", "v1.1.0-beta.1": "crashes on load" }
+    });
+    assert.deepEqual(versions, {
+        "1.0.0": { channel: "stable", yanked: { reason: "corrupts save files" } },
+        "1.0.1": { channel: "stable", yanked: null },
+        "1.1.0-beta.1": { channel: "beta", yanked: { reason: "crashes on load" } }
+    });
+});
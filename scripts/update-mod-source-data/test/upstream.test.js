@@ -0,0 +1,100 @@
+import assert from "assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { loadUpstreamSource, mergeOrigins, repoIdentity, upstreamOrigin } from "../upstream.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// An origin listing the given mods, `{ key: repo }`, no texture packs
+function origin(name, priority, mods, { own = false } = {}) {
+    return {
+        name: name,
+        own: own,
+        priority: priority,
+        mods: Object.entries(mods).map(([key, repo]) => ({ key: key, entry: { displayName: `${key} from ${name}` }, repo: repo })),
+        texturePacks: []
+    };
+}
+
+// What was merged as `{ key: displayName }`, and the conflicts as `[rule, kept, dropped]`
+function merge(origins) {
+    const { merged, conflicts } = mergeOrigins(origins);
+    return {
+        mods: Object.fromEntries(Object.entries(merged.mods).map(([key, entry]) => [key, entry.displayName])),
+        conflicts: conflicts.map((conflict) => [conflict.rule, `${conflict.kept.origin.name}:${conflict.kept.key}`, `${conflict.dropped.origin.name}:${conflict.dropped.key}`])
+    };
+}
+
+test("the repo of an entry comes from its downloads, or failing that its website", () => {
+    assert.equal(repoIdentity({ versions: [{ assets: { windows: "https://github.com/Owner/Repo/releases/download/v1.0.0/windows.zip" } }] }), "github.com/owner/repo");
+    assert.equal(repoIdentity({ versions: [{ downloadUrl: "https://codeberg.org/owner/pack/releases/download/v1/assets.zip" }] }), "codeberg.org/owner/pack");
+    assert.equal(repoIdentity({ versions: [], websiteUrl: "https://github.com/owner/repo.git" }), "github.com/owner/repo");
+    assert.equal(repoIdentity({ versions: [], websiteUrl: "https://example.org/some/mod/page" }), undefined);
+});
+
+test("a key listed twice goes to the higher priority, ties to whichever is listed first", () => {
+    const ours = origin("ours", 0, { shared: undefined, mine: undefined }, { own: true });
+    assert.deepEqual(merge([ours, origin("theirs", 0, { shared: undefined, theirs: undefined })]), {
+        mods: { shared: "shared from ours", mine: "mine from ours", theirs: "theirs from theirs" },
+        conflicts: [["duplicate-mod-key", "ours:shared", "theirs:shared"]]
+    });
+    assert.deepEqual(merge([ours, origin("theirs", 10, { shared: undefined })]), {
+        mods: { mine: "mine from ours", shared: "shared from theirs" },
+        conflicts: [["duplicate-mod-key", "theirs:shared", "ours:shared"]]
+    });
+});
+
+test("the same repo under another key is a conflict too", () => {
+    const ours = origin("ours", 0, { "our-name": "github.com/owner/repo", other: "github.com/owner/other" }, { own: true });
+    const theirs = origin("theirs", 0, { "their-name": "github.com/owner/repo", unrelated: undefined });
+    const lower = origin("lower", -1, { "lower-name": "github.com/owner/other" });
+    assert.deepEqual(merge([lower, ours, theirs]), {
+        mods: { "our-name": "our-name from ours", other: "other from ours", unrelated: "unrelated from theirs" },
+        conflicts: [
+            ["duplicate-repo", "ours:our-name", "theirs:their-name"],
+            ["duplicate-repo", "ours:other", "lower:lower-name"]
+        ]
+    });
+});
+
+test("conflicts say what was ignored in favour of what", () => {
+    const { conflicts } = mergeOrigins([origin("ours", 0, { a: "github.com/owner/repo" }, { own: true }), origin("theirs", 0, { a: undefined, b: "github.com/owner/repo" })]);
+    assert.deepEqual(conflicts.map((conflict) => conflict.message), [
+        "'a' from theirs is ignored, the key is also used by 'a' from ours which takes priority",
+        "'b' from theirs is ignored, it's the same repo (github.com/owner/repo) as 'a' from ours which takes priority"
+    ]);
+});
+
+test("upstream entries are attributed to the upstream, unless they already are to another one", () => {
+    const upstream = {
+        name: "Other List",
+        url: "https://example.org/mods.json",
+        priority: 0,
+        data: {
+            mods: {
+                listed: { displayName: "Listed", versions: [] },
+                aggregated: { displayName: "Aggregated", versions: [], source: { name: "Third List" } }
+            },
+            texturePacks: {}
+        }
+    };
+    const { mods } = upstreamOrigin(upstream, 0);
+    assert.deepEqual(mods.map((candidate) => candidate.entry.source), [{ name: "Other List", url: "https://example.org/mods.json" }, { name: "Third List" }]);
+});
+
+test("upstream sources have to be readable mod source files of the same schema version", async (t) => {
+    const upstream = await loadUpstreamSource({ name: "fixtures", path: "expected/mods.json", priority: 5 }, FIXTURES_DIR);
+    assert.equal(upstream.priority, 5);
+    assert.deepEqual(Object.keys(upstream.data.mods), ["sample-mod", "linked-mod"]);
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "upstream-test-"));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(tempDir, "newer.json"), JSON.stringify({ schemaVersion: "9.0.0", mods: {}, texturePacks: {} }));
+    fs.writeFileSync(path.join(tempDir, "broken.json"), "{");
+    await assert.rejects(loadUpstreamSource({ name: "newer", path: "newer.json" }, tempDir), /upstream source 'newer' has schemaVersion '9.0.0'/);
+    await assert.rejects(loadUpstreamSource({ name: "broken", path: "broken.json" }, tempDir), /upstream source 'broken' could not be read/);
+    await assert.rejects(loadUpstreamSource({ name: "missing", path: "missing.json" }, tempDir), /upstream source 'missing' could not be read/);
+});
@@ -0,0 +1,160 @@
+import * as fs from "fs";
+import * as path from "path";
+import { contentTypes } from "./content-types.js";
+import { validateModSourceData } from "./lint.js";
+import { PRIMARY_SCHEMA_VERSION } from "./schema-versions.js";
+
+// Other community mod lists publishing the same format can be merged into ours, see `upstream_sources` in config.yaml.
+// Every entry (ours and theirs) belongs to an "origin" with a priority, when two origins list the same key or the
+// same repo the higher priority wins, ties go to whichever is listed first (our own config.yaml always is).
+
+const DEFAULT_PRIORITY = 0;
+
+// `.../owner/repo/releases/download/...`, as served by github and gitea/forgejo
+const RELEASE_URL_PATTERN = /^https?:\/\/([^/]+)\/([^/]+)\/([^/]+)\/releases\/download\//i;
+const REPO_URL_PATTERN = /^https?:\/\/([^/]+)\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/i;
+
+function matchRepo(pattern, url) {
+    const match = typeof url === "string" ? url.match(pattern) : null;
+    return match ? `${match[1]}/${match[2]}/${match[3]}`.toLowerCase() : undefined;
+}
+
+// Best effort `host/owner/repo` of a published entry, from its release downloads or failing that its website
+export function repoIdentity(entry) {
+    for (const version of entry?.versions ?? []) {
+        for (const url of [...Object.values(version.assets ?? {}), version.downloadUrl]) {
+            const repo = matchRepo(RELEASE_URL_PATTERN, url);
+            if (repo !== undefined) {
+                return repo;
+            }
+        }
+    }
+    return matchRepo(REPO_URL_PATTERN, entry?.websiteUrl);
+}
+
+// Reads a single `upstream_sources` entry, throws if it can't be read or isn't a mod source file we understand
+export async function loadUpstreamSource(upstreamInfo, configDir) {
+    const name = upstreamInfo["name"];
+    const location = upstreamInfo["url"] ?? path.resolve(configDir, upstreamInfo["path"]);
+    let data;
+    try {
+        if (upstreamInfo["url"] !== undefined) {
+            const resp = await fetch(upstreamInfo["url"]);
+            if (resp.status !== 200) {
+                throw new Error(`hit non-200 status code ${resp.status}`);
+            }
+            data = JSON.parse(await resp.text());
+        } else {
+            data = JSON.parse(fs.readFileSync(location).toString());
+        }
+    } catch (e) {
+        throw new Error(`upstream source '${name}' could not be read from ${location}: ${e.message}`);
+    }
+    if (data?.["schemaVersion"] !== PRIMARY_SCHEMA_VERSION) {
+        throw new Error(`upstream source '${name}' has schemaVersion '${data?.["schemaVersion"]}', only '${PRIMARY_SCHEMA_VERSION}' is supported`);
+    }
+    const diagnostics = validateModSourceData(data);
+    if (diagnostics.length > 0) {
+        throw new Error(`upstream source '${name}' is not a valid mod source file: ${diagnostics.map((diagnostic) => (diagnostic.modKey ? `${diagnostic.modKey} ` : "") + diagnostic.message).join(", ")}`);
+    }
+    return {
+        name: name,
+        url: upstreamInfo["url"],
+        priority: upstreamInfo["priority"] ?? DEFAULT_PRIORITY,
+        data: data
+    };
+}
+
+// The origin for our own config.yaml entries, `entries` are the built ones (or just the keys when linting),
+// repos are derived from the config so entries without any versions yet are still compared
+export function configOrigin(config, resolveProvider, entries) {
+    let origin = {
+        name: config["metadata"]["name"],
+        own: true,
+        priority: config["metadata"]["priority"] ?? DEFAULT_PRIORITY
+    };
+    for (const contentType of contentTypes) {
+        origin[contentType.sourceKey] = [];
+        for (const [modName, modInfo] of Object.entries(config[contentType.configKey] ?? {})) {
+            if (entries !== undefined && entries[contentType.sourceKey][modName] === undefined) {
+                continue;
+            }
+            let repo = undefined;
+            if (modInfo["repo_owner"] !== undefined) {
+                repo = matchRepo(REPO_URL_PATTERN, resolveProvider(modInfo["provider"]).websiteUrl(modInfo["repo_owner"], modInfo["repo_name"]));
+            }
+            origin[contentType.sourceKey].push({ key: modName, entry: entries?.[contentType.sourceKey][modName], repo: repo });
+        }
+    }
+    return origin;
+}
+
+// `index` is the position in `upstream_sources`, so conflicts can be pointed at
+export function upstreamOrigin(upstream, index) {
+    let origin = {
+        name: upstream.name,
+        own: false,
+        index: index,
+        priority: upstream.priority
+    };
+    for (const contentType of contentTypes) {
+        origin[contentType.sourceKey] = Object.entries(upstream.data[contentType.sourceKey] ?? {}).map(([key, entry]) => {
+            // keep the attribution if the upstream is an aggregate itself
+            const source = entry.source ?? (upstream.url !== undefined ? { name: upstream.name, url: upstream.url } : { name: upstream.name });
+            return { key: key, entry: { ...entry, source: source }, repo: repoIdentity(entry) };
+        });
+    }
+    return origin;
+}
+
+function describeConflict(conflict) {
+    const dropped = `'${conflict.dropped.key}' from ${conflict.dropped.origin.name}`;
+    const kept = `'${conflict.kept.key}' from ${conflict.kept.origin.name}`;
+    if (conflict.rule === "duplicate-mod-key") {
+        conflict.message = `${dropped} is ignored, the key is also used by ${kept} which takes priority`;
+    } else {
+        conflict.message = `${dropped} is ignored, it's the same repo (${conflict.repo}) as ${kept} which takes priority`;
+    }
+    return conflict;
+}
+
+// Picks the winning entry for every key and repo across all origins, in the order of `origins`.
+// Returns the merged entries per source key and the conflicts that were resolved along the way:
+// `{ rule: "duplicate-mod-key" | "duplicate-repo", sourceKey, kept: { origin, key }, dropped: { origin, key }, message }`
+export function mergeOrigins(origins) {
+    let merged = {};
+    let conflicts = [];
+    for (const contentType of contentTypes) {
+        const sourceKey = contentType.sourceKey;
+        const candidates = origins.flatMap((origin, originIdx) => origin[sourceKey].map((candidate) => ({ ...candidate, origin: origin, originIdx: originIdx })));
+        // stable sort, so equal priorities keep the listed order
+        const ranked = [...candidates].sort((a, b) => b.origin.priority - a.origin.priority || a.originIdx - b.originIdx);
+        const byKey = new Map();
+        const byRepo = new Map();
+        const chosen = new Set();
+        for (const candidate of ranked) {
+            const winner = byKey.get(candidate.key) ?? (candidate.repo !== undefined ? byRepo.get(candidate.repo) : undefined);
+            if (winner !== undefined) {
+                conflicts.push(describeConflict({
+                    rule: winner.key === candidate.key ? "duplicate-mod-key" : "duplicate-repo",
+                    sourceKey: sourceKey,
+                    repo: candidate.repo,
+                    kept: { origin: winner.origin, key: winner.key },
+                    dropped: { origin: candidate.origin, key: candidate.key }
+                }));
+                continue;
+            }
+            byKey.set(candidate.key, candidate);
+            if (candidate.repo !== undefined) {
+                byRepo.set(candidate.repo, candidate);
+            }
+            chosen.add(candidate);
+        }
+        // the output keeps the listed order rather than the priority order, so it doesn't shuffle around
+        merged[sourceKey] = {};
+        for (const candidate of candidates.filter((candidate) => chosen.has(candidate))) {
+            merged[sourceKey][candidate.key] = candidate.entry;
+        }
+    }
+    return { merged: merged, conflicts: conflicts };
+}
@@ -0,0 +1,218 @@
+// Search, filter and sort controls for the mod list on index.html.
+// The list itself is static html (generated by scripts/update-mod-source-data along with search-index.json),
+// this only hides and reorders its rows, so everything still works when the script doesn't run.
+// The current filters are kept in the query string, e.g. index.html?game=jak2&tag=challenge&platform=linux
+
+const GAME_TITLES = { jak1: "Jak 1", jak2: "Jak 2", jak3: "Jak 3", jakx: "Jak X" };
+const PLATFORMS = ["windows", "linux", "macos"];
+const SORTS = {
+  released: "Newest release",
+  updated: "Recently updated",
+  name: "Name"
+};
+const DEFAULT_SORT = "released";
+// the headers that can be clicked to sort by their column
+const SORTABLE_COLUMNS = { "Name": "name", "Released": "released" };
+
+function readState() {
+  let params = new URLSearchParams(window.location.search);
+  let sort = params.get("sort");
+  return {
+    query: params.get("q") ?? "",
+    tags: params.getAll("tag"),
+    game: params.get("game") ?? "",
+    platform: params.get("platform") ?? "",
+    sort: Object.keys(SORTS).includes(sort) ? sort : DEFAULT_SORT
+  };
+}
+
+function writeState(state) {
+  let params = new URLSearchParams();
+  if (state.query !== "") {
+    params.set("q", state.query);
+  }
+  for (let tag of state.tags) {
+    params.append("tag", tag);
+  }
+  if (state.game !== "") {
+    params.set("game", state.game);
+  }
+  if (state.platform !== "") {
+    params.set("platform", state.platform);
+  }
+  if (state.sort !== DEFAULT_SORT) {
+    params.set("sort", state.sort);
+  }
+  let query = params.toString();
+  history.replaceState(null, "", window.location.pathname + (query !== "" ? "?" + query : "") + window.location.hash);
+}
+
+function matches(entry, state) {
+  if (state.game !== "" && !entry.games.includes(state.game)) {
+    return false;
+  }
+  if (state.platform !== "" && !entry.platforms.includes(state.platform)) {
+    return false;
+  }
+  if (!state.tags.every((tag) => entry.tags.includes(tag))) {
+    return false;
+  }
+  // every word has to show up somewhere
+  let haystack = [entry.name, entry.key, entry.description, ...entry.authors, ...entry.tags].join(" ").toLowerCase();
+  return state.query.toLowerCase().split(/\s+/).filter((word) => word !== "").every((word) => haystack.includes(word));
+}
+
+function compareEntries(a, b, sort, game) {
+  switch (sort) {
+    case "name":
+      return a.name.localeCompare(b.name);
+    case "updated":
+      return b.updated.localeCompare(a.updated) || a.name.localeCompare(b.name);
+    default:
+      return (b.released[game] ?? "").localeCompare(a.released[game] ?? "") || a.name.localeCompare(b.name);
+  }
+}
+
+function createSelect(label, options, value, onChange) {
+  let select = document.createElement("select");
+  select.setAttribute("aria-label", label);
+  for (let [optionValue, optionLabel] of options) {
+    let option = document.createElement("option");
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+// `getState` returns the current filters, `update` changes some of them
+function buildFilterBar(container, index, getState, update) {
+  let state = getState();
+  let search = document.createElement("input");
+  search.type = "search";
+  search.placeholder = "Search by name, author, tag...";
+  search.setAttribute("aria-label", "Search");
+  search.value = state.query;
+  search.addEventListener("input", () => update({ query: search.value }));
+
+  let games = [["", "All games"], ...index.games.map((game) => [game, GAME_TITLES[game] ?? game])];
+  let platforms = [["", "All platforms"], ...PLATFORMS.map((platform) => [platform, platform])];
+  let sorts = Object.entries(SORTS);
+
+  let controls = document.createElement("p");
+  controls.append(
+    search, " ",
+    createSelect("Game", games, state.game, (game) => update({ game: game })), " ",
+    createSelect("Platform", platforms, state.platform, (platform) => update({ platform: platform })), " ",
+    createSelect("Sort by", sorts, state.sort, (sort) => update({ sort: sort }))
+  );
+
+  let chips = document.createElement("p");
+  for (let tag of index.tags) {
+    let chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "tag-chip";
+    chip.textContent = tag;
+    chip.dataset.tag = tag;
+    chip.addEventListener("click", () => {
+      let state = getState();
+      let tags = state.tags.includes(tag) ? state.tags.filter((selected) => selected !== tag) : [...state.tags, tag];
+      update({ tags: tags });
+    });
+    chips.append(chip, " ");
+  }
+
+  let summary = document.createElement("p");
+  summary.id = "mod-filter-summary";
+
+  container.replaceChildren(controls, chips, summary);
+}
+
+function applyState(index, state) {
+  let entries = new Map(index.entries.map((entry) => [entry.page, entry]));
+  let shownPages = new Set();
+
+  for (let section of document.querySelectorAll(".mod-section")) {
+    let game = section.dataset.game;
+    section.hidden = state.game !== "" && state.game !== game;
+
+    let rows = [...section.querySelectorAll("tr[data-page]")].filter((row) => entries.has(row.dataset.page));
+    rows.sort((a, b) => compareEntries(entries.get(a.dataset.page), entries.get(b.dataset.page), state.sort, game));
+    let visible = 0;
+    for (let row of rows) {
+      // re-appending in order moves the rows, the header row stays on top
+      row.parentNode.appendChild(row);
+      row.hidden = !matches(entries.get(row.dataset.page), state);
+      if (!row.hidden) {
+        visible++;
+        if (!section.hidden) {
+          shownPages.add(row.dataset.page);
+        }
+      }
+    }
+
+    let table = section.querySelector("table");
+    if (table) {
+      let note = section.querySelector(".mod-filter-none");
+      if (!note) {
+        note = document.createElement("p");
+        note.className = "mod-filter-none";
+        note.textContent = "Nothing here matches the current filters.";
+        table.after(note);
+      }
+      table.hidden = visible === 0;
+      note.hidden = visible !== 0;
+    }
+
+    for (let header of section.querySelectorAll("th[data-column]")) {
+      header.textContent = header.dataset.column + (state.sort === SORTABLE_COLUMNS[header.dataset.column] ? " ▾" : "");
+    }
+  }
+
+  for (let chip of document.querySelectorAll(".tag-chip")) {
+    chip.setAttribute("aria-pressed", state.tags.includes(chip.dataset.tag) ? "true" : "false");
+  }
+  let filtered = state.query !== "" || state.tags.length > 0 || state.game !== "" || state.platform !== "";
+  document.getElementById("mod-filter-summary").textContent = filtered ? `${shownPages.size} match(es)` : "";
+}
+
+async function setupModFilters() {
+  let container = document.getElementById("mod-filters");
+  if (!container) {
+    return;
+  }
+  let index;
+  try {
+    let response = await fetch("search-index.json");
+    index = await response.json();
+  } catch (e) {
+    // no filters then, the static list is still there
+    console.warn("couldn't load search-index.json", e);
+    return;
+  }
+
+  let state = readState();
+  let update = (changes) => {
+    state = { ...state, ...changes };
+    writeState(state);
+    applyState(index, state);
+  };
+  buildFilterBar(container, index, () => state, update);
+
+  for (let header of document.querySelectorAll(".mod-section th")) {
+    let sort = SORTABLE_COLUMNS[header.textContent];
+    if (sort) {
+      header.dataset.column = header.textContent;
+      header.classList.add("sortable");
+      header.title = "Sort by " + header.textContent.toLowerCase();
+      header.addEventListener("click", () => update({ sort: sort }));
+    }
+  }
+  applyState(index, state);
+}
+
+window.addEventListener("load", () => {
+  setupModFilters();
+});